@@ -24,23 +24,75 @@ import {
 const HOSTED_URL = "https://math-equation-solver-112.created.app/";
 const ALPHA_WARNING = "⚠️ MathMaster Pro is in ALPHA: There may be bugs, incomplete features, and errors. Please use with caution!";
 
+// Prompt instructions for math formatting (rendered by MathText)
+const LATEX_PROMPT =
+  "Write every equation and final answer as LaTeX without $ delimiters. In explanations and tips, wrap any math in $...$. Do not use markdown.";
+
 // FAQ Content
 const FAQ_LIST = [
   {
     q: "How can I switch between GPT and Gemini models?",
-    a: "Use the 'Switch to' button at the top of the solver card to toggle between Gemini and GPT models for solving your problems.",
+    a: "Use the 'Model' dropdown at the top of the solver card to choose Gemini, GPT, or the offline solver. Practice problems and alternative methods use the same model.",
+  },
+  {
+    q: "Can I use MathMaster Pro without the AI models?",
+    a: "Yes. Choose 'Offline (local)' in the 'Model' dropdown to solve arithmetic, fractions, percentages, linear and quadratic equations, and systems of two equations right in your browser. Practice problems and alternative methods still need an AI model.",
+  },
+  {
+    q: "How do I type fractions, roots, integrals or Greek letters?",
+    a: "Use the symbol buttons above the input box, or the Alt shortcuts shown when you hover them (for example Alt+/ for a fraction, Alt+R for a square root, Alt+6 for a power). Press Tab to jump to the next empty slot. The preview below the box shows exactly what will be solved.",
   },
   {
     q: "How do I upload a math problem image?",
-    a: "Either drag and drop an image into the image upload area, or use the file picker. Supported formats: PNG, JPG, JPEG, and WEBP.",
+    a: "Drag and drop an image into the image upload area, use the file picker, click 'Take photo' to use your camera, or paste a screenshot anywhere on the page with Ctrl+V. Then click 'Find Problems'. Supported formats: PNG, JPG, JPEG, and WEBP, up to 25 MB. Click a photo to crop or rotate it; photos are also straightened, turned into high-contrast black and white, scaled down and stripped of hidden metadata such as your location before they are uploaded. Before anything is solved you see what was read next to the matching part of your image, with any characters the AI was unsure of highlighted in yellow. Correct them if needed, then click 'Solve'.",
+  },
+  {
+    q: "Can I write a problem by hand?",
+    a: "Yes. Click 'Write by Hand' below the input box and write with your finger, a stylus or the mouse. Use the eraser, undo, redo and clear buttons to fix mistakes, then click 'Recognize'. The problem appears in the input box so you can check it before pressing 'Solve'. Recognition uses the GPT Vision model.",
+  },
+  {
+    q: "Can I upload a whole worksheet?",
+    a: "Yes. Add several photos, or a scanned PDF, and click 'Find Problems'. Every numbered problem is listed so you can fix anything that was misread, then 'Solve all' works through them one by one and shows the status of each. Solved problems are added to your history; click 'View' to open one. PDFs exported from a word processor have no scanned pages, so photograph or scan those instead.",
   },
   {
     q: "Can I save and organize my solutions?",
-    a: "Yes! Use the 'Save Solution' button below any solution. You can add notes, mark favorites, and edit saved solutions anytime.",
+    a: "Yes! Use the 'Save Solution' button below any solution, optionally with notes and tags. Under 'Show Saved Solutions' you can search, sort, filter by folder, tag or favorites, open a solution to see every step, edit its notes, tags and folder, and select several solutions to delete them at once. Changes made while offline are kept on this device and sent automatically when the connection returns.",
+  },
+  {
+    q: "How do I share a solution with someone?",
+    a: "Click 'Share' above a solution. The link contains the problem and the full worked solution, so whoever opens it sees the same steps and tips without solving again. Very long solutions share more reliably once saved.",
+  },
+  {
+    q: "Can I print or download a solution?",
+    a: "Click 'PDF' above a solution and then 'Download PDF'. The worksheet includes the problem, every step, the final answer, tips and the graph, and can optionally add the alternative methods and practice problems (with an answer key on its own page).",
   },
   {
     q: "Where can I find my solution history?",
-    a: "Click the 'Show Recent Solutions' button below the main solver to view your recent (local) solution history.",
+    a: "Click 'Show History' below the main solver (or press Alt+H). Every problem you solve is stored in this browser, so it survives a refresh. Search by problem or answer, filter by topic, model or date, click an entry to bring its solution back, or use 'Re-run' to solve it again.",
+  },
+  {
+    q: "Can I move my solutions to another account or a spreadsheet?",
+    a: "Yes. Click 'Import / Export' below the solver. JSON keeps everything and can be imported again (solutions you already have are skipped), CSV opens in any spreadsheet or gradebook, and Markdown gives a readable copy with every step.",
+  },
+  {
+    q: "How do practice problems work?",
+    a: "Type your answer under a practice problem and press 'Check'. Equivalent forms count, so 3/4 and 0.75 or 2x + 3 and 3 + 2x are both accepted. Problems you solve without opening the solution add to your score. Use 'Generate more like this' to add new problems at the difficulty you choose.",
+  },
+  {
+    q: "How does MathMaster Pro track my progress?",
+    a: "Every practice problem you answer is recorded under its topic. Your mastery rises with correct answers (more for harder problems), and new practice problems are pitched at the difficulty you currently solve most of the time. Click 'Show Progress' below the solver to see every topic, or reset it. Progress is stored in this browser only.",
+  },
+  {
+    q: "Can I ask questions about a step?",
+    a: "Yes. Click 'Ask about this step' under any step of a solution and type your question. The selected model sees your problem and every step, and it remembers the earlier questions you asked about that step, so you can follow up. Questions are cleared when you solve a new problem and need an online model.",
+  },
+  {
+    q: "What is tutor mode?",
+    a: "Tutor mode hides the worked solution and walks you through it one step at a time. Each step starts with a hint; type the equation you think comes next and press 'Check'. Sides may be swapped or written differently, so 10 = 2x counts for 2x = 10, but skipping ahead or retyping the previous equation does not. Ask for extra hints or reveal a step if you get stuck. The final answer, tips and graph appear once every step is done. Turn it on with 'Tutor Mode' above a solution or in Settings.",
+  },
+  {
+    q: "What do the 'Verified' and 'Mismatch' badges mean?",
+    a: "MathMaster Pro re-checks the Final Answer with its own built-in math engine by substituting it back into your problem. 'Verified' means the check passed, 'Mismatch' means the AI answer looks wrong, and 'Not checked' means the problem type is not supported locally yet.",
   },
   {
     q: "Why are there errors or missing features?",
@@ -48,38 +100,7187 @@ const FAQ_LIST = [
   },
 ];
 
-// Utility: Clean up math expressions (removes LaTeX/markdown)
-function cleanEquation(str) {
-  if (!str) return "";
-  return str.replace(/\\/g, "").replace(/\{|\}/g, "").replace(/\$/g, "");
+// Utility: Save/load preferences to localStorage
+function savePrefs(prefs) {
+  try {
+    localStorage.setItem("mathmaster_prefs", JSON.stringify(prefs));
+  } catch {}
+}
+function loadPrefs() {
+  try {
+    return JSON.parse(localStorage.getItem("mathmaster_prefs")) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Utility: Compute evenly spaced "nice" tick values (1, 2, 5 x 10^n steps) for an axis
+function niceTicks(min, max, count = 6) {
+  const span = max - min;
+  if (!isFinite(span) || span <= 0) return { ticks: [min], step: 1 };
+  const rough = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const residual = rough / magnitude;
+  const step =
+    (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+  const ticks = [];
+  for (
+    let t = Math.ceil(min / step) * step;
+    t <= max + step * 1e-9;
+    t += step
+  ) {
+    ticks.push(Math.abs(t) < step * 1e-9 ? 0 : t);
+  }
+  return { ticks, step };
+}
+
+// Utility: Format a graph value with just enough decimals for the given tick step
+function formatGraphNumber(value, step = 1) {
+  const decimals = Math.min(6, Math.max(0, -Math.floor(Math.log10(step || 1))));
+  return Number(value.toFixed(decimals)).toString();
+}
+
+// Utility: Normalize graph_data from the model into a plottable series
+function normalizeGraphData(graphData) {
+  const rawType = String(graphData?.type || "").toLowerCase();
+  const type =
+    rawType.includes("bar") || rawType.includes("histogram")
+      ? "bar"
+      : rawType.includes("scatter") || rawType.includes("point")
+      ? "scatter"
+      : "line";
+  const points = (graphData?.points || [])
+    .map((p) => ({ x: Number(p?.x), y: Number(p?.y) }))
+    .filter((p) => isFinite(p.x) && isFinite(p.y));
+  if (type !== "scatter") points.sort((a, b) => a.x - b.x);
+  return { type, points };
+}
+
+// Utility: Initial graph viewport fitted around the points (with padding)
+function graphBounds(points, type) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  if (type === "bar") ys.push(0);
+  let xMin = Math.min(...xs);
+  let xMax = Math.max(...xs);
+  let yMin = Math.min(...ys);
+  let yMax = Math.max(...ys);
+  if (xMax - xMin === 0) {
+    xMin -= 1;
+    xMax += 1;
+  }
+  if (yMax - yMin === 0) {
+    yMin -= 1;
+    yMax += 1;
+  }
+  const padX = (xMax - xMin) * (type === "bar" ? 0.1 : 0.05);
+  const padY = (yMax - yMin) * 0.1;
+  return {
+    xMin: xMin - padX,
+    xMax: xMax + padX,
+    yMin: type === "bar" && yMin === 0 ? 0 : yMin - padY,
+    yMax: yMax + padY,
+  };
+}
+
+// --- Math Engine (local CAS) ---
+// A small client-side parser/evaluator used to double-check model answers.
+// Expressions parse into plain AST nodes:
+//   { type: "num", value } | { type: "const", name } | { type: "var", name }
+//   { type: "neg", arg } | { type: "fn", name, arg } | { type: "fact", arg }
+//   { type: "bin", op: "+" | "-" | "*" | "/" | "^", left, right }
+// The offline solver also uses exact fraction leaves: { type: "rat", n, d }
+
+const MATH_FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  sec: (x) => 1 / Math.cos(x),
+  csc: (x) => 1 / Math.sin(x),
+  cot: (x) => 1 / Math.tan(x),
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  abs: Math.abs,
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+const MATH_NAMES = [
+  ...Object.keys(MATH_FUNCTIONS),
+  ...Object.keys(MATH_CONSTANTS),
+].sort((a, b) => b.length - a.length);
+
+// Utility: Rewrite unicode math symbols into the plain ASCII the tokenizer understands
+function normalizeMathSymbols(str) {
+  return (
+    String(str || "")
+      // "3/4 ÷ 1/2" divides one fraction by another, so group each side first
+      .replace(
+        /((?:\d+\s*\/\s*)?\d*\.?\d+)\s*÷\s*(\d*\.?\d+(?:\s*\/\s*\d+)?)/g,
+        "($1)/($2)"
+      )
+      .replace(/[−–—]/g, "-")
+      .replace(/[×·⋅∙]/g, "*")
+      .replace(/÷/g, "/")
+      .replace(/π/g, "pi")
+      .replace(/√/g, "sqrt")
+      .replace(/∛/g, "cbrt")
+      .replace(/²/g, "^2")
+      .replace(/³/g, "^3")
+      .replace(/≈/g, "=")
+  );
+}
+
+// Utility: Split a math string into tokens, inserting implicit multiplication (2x, x(x+1), (a)(b))
+function tokenizeMath(str) {
+  const src = normalizeMathSymbols(str);
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const num = src.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+    if (num) {
+      tokens.push({ type: "num", value: parseFloat(num[1]) });
+      i += num[1].length;
+      continue;
+    }
+    if (/[a-zA-Zα-ωΑ-Ω]/.test(ch)) {
+      // Longest known function/constant name wins, otherwise one letter = one variable
+      const rest = src.slice(i).toLowerCase();
+      const name =
+        MATH_NAMES.find(
+          (n) => rest.startsWith(n) && !/[a-z]/i.test(src[i + n.length] || "")
+        ) || MATH_NAMES.find((n) => n.length > 1 && rest.startsWith(n));
+      if (name) {
+        tokens.push({
+          type: MATH_FUNCTIONS[name] ? "fn" : "const",
+          value: name,
+        });
+        i += name.length;
+      } else {
+        tokens.push({ type: "var", value: ch });
+        i++;
+      }
+      continue;
+    }
+    if ("+-*/^()=!|,".includes(ch)) {
+      tokens.push({ type: "op", value: ch });
+      i++;
+      continue;
+    }
+    if (ch === "[" || ch === "{") {
+      tokens.push({ type: "op", value: "(" });
+      i++;
+      continue;
+    }
+    if (ch === "]" || ch === "}") {
+      tokens.push({ type: "op", value: ")" });
+      i++;
+      continue;
+    }
+    throw new Error(`Unexpected character "${ch}"`);
+  }
+
+  // Implicit multiplication between adjacent operands
+  const result = [];
+  tokens.forEach((tok, idx) => {
+    const prev = tokens[idx - 1];
+    const prevEndsOperand =
+      prev &&
+      (prev.type === "num" ||
+        prev.type === "var" ||
+        prev.type === "const" ||
+        (prev.type === "op" && (prev.value === ")" || prev.value === "!")));
+    const startsOperand =
+      tok.type === "num" ||
+      tok.type === "var" ||
+      tok.type === "const" ||
+      tok.type === "fn" ||
+      (tok.type === "op" && tok.value === "(");
+    if (prevEndsOperand && startsOperand)
+      result.push({ type: "op", value: "*" });
+    result.push(tok);
+  });
+  return result;
+}
+
+// Utility: Parse a math expression string into an AST (throws on syntax errors)
+function parseMath(str) {
+  const tokens = tokenizeMath(str);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`Expected "${v}"`);
+    pos++;
+  };
+
+  function parseExpr() {
+    let node = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].value;
+      node = { type: "bin", op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[pos++].value;
+      node = { type: "bin", op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+  function parseUnary() {
+    if (isOp("-")) {
+      pos++;
+      return { type: "neg", arg: parseUnary() };
+    }
+    if (isOp("+")) {
+      pos++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+  function parsePower() {
+    const base = parsePostfix();
+    if (isOp("^")) {
+      pos++;
+      return { type: "bin", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  }
+  function parsePostfix() {
+    let node = parsePrimary();
+    while (isOp("!")) {
+      pos++;
+      node = { type: "fact", arg: node };
+    }
+    return node;
+  }
+  function parsePrimary() {
+    const tok = peek();
+    if (!tok) throw new Error("Unexpected end of expression");
+    pos++;
+    if (tok.type === "num") return { type: "num", value: tok.value };
+    if (tok.type === "var") return { type: "var", name: tok.value };
+    if (tok.type === "const") return { type: "const", name: tok.value };
+    if (tok.type === "fn") {
+      // sin x and sin(x) are both accepted
+      return { type: "fn", name: tok.value, arg: parsePower() };
+    }
+    if (tok.value === "(") {
+      const inner = parseExpr();
+      expect(")");
+      return inner;
+    }
+    if (tok.value === "|") {
+      const inner = parseExpr();
+      expect("|");
+      return { type: "fn", name: "abs", arg: inner };
+    }
+    throw new Error(`Unexpected "${tok.value}"`);
+  }
+
+  const ast = parseExpr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  return ast;
+}
+
+// Utility: Parse "lhs = rhs" into two ASTs; returns null when there is no single "="
+function parseMathEquation(str) {
+  const parts = normalizeMathSymbols(str).split("=");
+  if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) return null;
+  return { lhs: parseMath(parts[0]), rhs: parseMath(parts[1]) };
+}
+
+// Utility: Collect the variable names used in an AST
+function mathVariables(node, acc = new Set()) {
+  if (!node) return acc;
+  if (node.type === "var") acc.add(node.name);
+  if (node.arg) mathVariables(node.arg, acc);
+  if (node.left) mathVariables(node.left, acc);
+  if (node.right) mathVariables(node.right, acc);
+  return acc;
+}
+
+// Utility: Numerically evaluate an AST with the given variable values
+function evaluateMath(node, scope = {}) {
+  switch (node.type) {
+    case "num":
+      return node.value;
+    case "const":
+      return MATH_CONSTANTS[node.name];
+    case "rat":
+      return node.n / node.d;
+    case "var":
+      if (!(node.name in scope))
+        throw new Error(`Unknown variable ${node.name}`);
+      return scope[node.name];
+    case "neg":
+      return -evaluateMath(node.arg, scope);
+    case "fn":
+      return MATH_FUNCTIONS[node.name](evaluateMath(node.arg, scope));
+    case "fact": {
+      const n = evaluateMath(node.arg, scope);
+      if (n < 0 || !Number.isInteger(n) || n > 170) return NaN;
+      let out = 1;
+      for (let k = 2; k <= n; k++) out *= k;
+      return out;
+    }
+    case "bin": {
+      const a = evaluateMath(node.left, scope);
+      const b = evaluateMath(node.right, scope);
+      if (node.op === "+") return a + b;
+      if (node.op === "-") return a - b;
+      if (node.op === "*") return a * b;
+      if (node.op === "/") return a / b;
+      // Real odd roots of negatives, e.g. (-8)^(1/3)
+      if (a < 0 && !Number.isInteger(b)) {
+        const inv = 1 / b;
+        if (
+          Number.isInteger(Math.round(inv)) &&
+          Math.abs(inv - Math.round(inv)) < 1e-9 &&
+          Math.round(inv) % 2
+        ) {
+          return -Math.pow(-a, b);
+        }
+      }
+      return Math.pow(a, b);
+    }
+    default:
+      throw new Error("Unknown node");
+  }
+}
+
+// Utility: Polynomial coefficients [c0, c1, c2, ...] of an AST in one variable, or null
+function mathPolynomial(node, variable) {
+  const add = (p, q, sign = 1) =>
+    Array.from(
+      { length: Math.max(p.length, q.length) },
+      (_, i) => (p[i] || 0) + sign * (q[i] || 0)
+    );
+  const mul = (p, q) => {
+    const out = new Array(p.length + q.length - 1).fill(0);
+    p.forEach((a, i) => q.forEach((b, j) => (out[i + j] += a * b)));
+    return out;
+  };
+  const constant = (n) =>
+    mathVariables(n).size === 0 ? [evaluateMath(n)] : null;
+
+  switch (node.type) {
+    case "num":
+    case "const":
+      return [evaluateMath(node)];
+    case "var":
+      return node.name === variable ? [0, 1] : null;
+    case "neg": {
+      const p = mathPolynomial(node.arg, variable);
+      return p && p.map((c) => -c);
+    }
+    case "fn":
+    case "fact":
+      return constant(node);
+    case "bin": {
+      const p = mathPolynomial(node.left, variable);
+      if (!p) return null;
+      if (node.op === "^") {
+        const exp = constant(node.right);
+        if (!exp || !Number.isInteger(exp[0]) || exp[0] < 0 || exp[0] > 12) {
+          return p.length === 1 && exp ? [Math.pow(p[0], exp[0])] : null;
+        }
+        let out = [1];
+        for (let k = 0; k < exp[0]; k++) out = mul(out, p);
+        return out;
+      }
+      const q = mathPolynomial(node.right, variable);
+      if (!q) return null;
+      if (node.op === "+") return add(p, q);
+      if (node.op === "-") return add(p, q, -1);
+      if (node.op === "*") return mul(p, q);
+      if (node.op === "/") {
+        const trimmed = trimPolynomial(q);
+        if (trimmed.length !== 1 || trimmed[0] === 0) return null;
+        return p.map((c) => c / trimmed[0]);
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Utility: Drop (near-)zero leading coefficients from a polynomial
+function trimPolynomial(coeffs) {
+  const out = coeffs.slice();
+  const scale = Math.max(1, ...out.map(Math.abs));
+  while (out.length > 1 && Math.abs(out[out.length - 1]) < 1e-12 * scale)
+    out.pop();
+  return out;
+}
+
+// Utility: Best rational approximation { num, den } of a number, or null if none is close
+function toFraction(value, maxDen = 1000) {
+  if (!isFinite(value)) return null;
+  for (let den = 1; den <= maxDen; den++) {
+    const num = Math.round(value * den);
+    if (Math.abs(num / den - value) < 1e-9 * Math.max(1, Math.abs(value))) {
+      return { num, den };
+    }
+  }
+  return null;
+}
+
+// Utility: Format a computed number, preferring exact fractions when one fits
+function formatMathNumber(value) {
+  if (!isFinite(value)) return String(value);
+  const frac = toFraction(value, 100);
+  if (frac)
+    return frac.den === 1 ? String(frac.num) : `${frac.num}/${frac.den}`;
+  return String(Number(value.toPrecision(8)));
+}
+
+// Utility: Format a plain decimal without floating point noise (0.1 + 0.2 -> 0.3)
+function formatDecimal(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+// Utility: Format polynomial coefficients as "3x^2 - 2x + 1"
+function formatPolynomial(coeffs, variable) {
+  const terms = [];
+  for (let deg = coeffs.length - 1; deg >= 0; deg--) {
+    const c = coeffs[deg];
+    if (Math.abs(c) < 1e-12) continue;
+    const abs = Math.abs(c);
+    const coef =
+      deg > 0 && Math.abs(abs - 1) < 1e-12 ? "" : formatMathNumber(abs);
+    const power = deg === 0 ? "" : deg === 1 ? variable : `${variable}^${deg}`;
+    const body =
+      coef.includes("/") && power ? `(${coef})${power}` : `${coef}${power}`;
+    terms.push({ sign: c < 0 ? "-" : "+", body });
+  }
+  if (!terms.length) return "0";
+  return terms
+    .map((t, idx) =>
+      idx === 0
+        ? t.sign === "-"
+          ? `-${t.body}`
+          : t.body
+        : ` ${t.sign} ${t.body}`
+    )
+    .join("");
+}
+
+// Utility: Format an AST back into a readable string with minimal parentheses
+function formatMath(node) {
+  const isNegativeLeaf = (n) =>
+    (n.type === "num" && n.value < 0) || (n.type === "rat" && n.n < 0);
+  const prec = (n) =>
+    n.type === "bin"
+      ? { "+": 1, "-": 1, "*": 2, "/": 2, "^": 4 }[n.op]
+      : n.type === "rat" && n.d !== 1
+      ? 2
+      : n.type === "neg" || isNegativeLeaf(n)
+      ? 3
+      : 5;
+  const wrap = (child, min) =>
+    prec(child) < min ? `(${formatMath(child)})` : formatMath(child);
+  switch (node.type) {
+    case "num":
+      return formatDecimal(node.value);
+    case "rat":
+      return node.d === 1 ? String(node.n) : `${node.n}/${node.d}`;
+    case "const":
+      return node.name === "pi" ? "π" : node.name;
+    case "var":
+      return node.name;
+    case "neg":
+      return `-${wrap(node.arg, 3)}`;
+    case "fn":
+      return `${node.name}(${formatMath(node.arg)})`;
+    case "fact":
+      return `${wrap(node.arg, 5)}!`;
+    case "bin": {
+      const p = prec(node);
+      if (node.op === "^")
+        return `${wrap(node.left, 5)}^${wrap(node.right, 4)}`;
+      const right = isNegativeLeaf(node.right)
+        ? `(${formatMath(node.right)})`
+        : wrap(node.right, node.op === "-" || node.op === "/" ? p + 1 : p);
+      const left = wrap(node.left, p);
+      // Write products like 2x, 3(x + 1) and (x + 1)(x - 1) without the "*"
+      const implicit =
+        node.op === "*" &&
+        /^[a-zα-ω(√π]/i.test(right) &&
+        (/\)$/.test(left) ||
+          node.left.type === "var" ||
+          node.left.type === "const" ||
+          (node.left.type === "num" && node.left.value >= 0) ||
+          (node.left.type === "rat" && node.left.d === 1 && node.left.n >= 0));
+      const sep = implicit
+        ? ""
+        : node.op === "*" || node.op === "/"
+        ? node.op
+        : ` ${node.op} `;
+      return `${left}${sep}${right}`;
+    }
+    default:
+      return "";
+  }
+}
+
+// Utility: Simplify an expression string (constant folding, polynomial collection)
+function simplifyExpression(str) {
+  const ast = parseMath(str);
+  const vars = [...mathVariables(ast)];
+  if (vars.length === 0) return formatMathNumber(evaluateMath(ast));
+  if (vars.length === 1) {
+    const poly = mathPolynomial(ast, vars[0]);
+    if (poly) return formatPolynomial(trimPolynomial(poly), vars[0]);
+  }
+  return formatMath(foldConstants(ast));
+}
+
+// Utility: Fold constant sub-trees and apply identity rules (x*1, x+0, x^1, 0*x)
+function foldConstants(node) {
+  if (node.type === "num" || node.type === "var" || node.type === "const")
+    return node;
+  const folded = { ...node };
+  if (node.arg) folded.arg = foldConstants(node.arg);
+  if (node.left) folded.left = foldConstants(node.left);
+  if (node.right) folded.right = foldConstants(node.right);
+  if (mathVariables(folded).size === 0 && !hasConst(folded)) {
+    const value = evaluateMath(folded);
+    if (isFinite(value)) return { type: "num", value };
+  }
+  if (folded.type !== "bin") return folded;
+  const isNum = (n, v) => n.type === "num" && n.value === v;
+  const { op, left, right } = folded;
+  if (op === "+" && isNum(left, 0)) return right;
+  if ((op === "+" || op === "-") && isNum(right, 0)) return left;
+  if (op === "*" && (isNum(left, 0) || isNum(right, 0)))
+    return { type: "num", value: 0 };
+  if (op === "*" && isNum(left, 1)) return right;
+  if ((op === "*" || op === "/") && isNum(right, 1)) return left;
+  if (op === "^" && isNum(right, 1)) return left;
+  if (op === "^" && isNum(right, 0)) return { type: "num", value: 1 };
+  return folded;
+}
+function hasConst(node) {
+  if (!node) return false;
+  if (node.type === "const") return true;
+  return hasConst(node.arg) || hasConst(node.left) || hasConst(node.right);
+}
+
+// Utility: Real and complex roots of a polynomial given as [c0, c1, ...]
+function solvePolynomial(coeffs) {
+  const p = trimPolynomial(coeffs);
+  const degree = p.length - 1;
+  if (degree === 0) {
+    return { degree, roots: [], complex: [], identity: Math.abs(p[0]) < 1e-12 };
+  }
+  if (degree === 1) return { degree, roots: [-p[0] / p[1]], complex: [] };
+  if (degree === 2) {
+    const [c, b, a] = p;
+    const disc = b * b - 4 * a * c;
+    const scale = Math.max(b * b, Math.abs(4 * a * c), 1e-300);
+    if (Math.abs(disc) < 1e-12 * scale)
+      return { degree, roots: [-b / (2 * a)], complex: [], discriminant: 0 };
+    if (disc > 0) {
+      const r = Math.sqrt(disc);
+      return {
+        degree,
+        roots: [(-b - r) / (2 * a), (-b + r) / (2 * a)].sort((x, y) => x - y),
+        complex: [],
+        discriminant: disc,
+      };
+    }
+    const re = -b / (2 * a);
+    const im = Math.sqrt(-disc) / (2 * a);
+    return {
+      degree,
+      roots: [],
+      complex: [
+        { re, im: Math.abs(im) },
+        { re, im: -Math.abs(im) },
+      ],
+      discriminant: disc,
+    };
+  }
+
+  // Durand-Kerner iteration for higher degrees
+  const monic = p.map((c) => c / p[degree]);
+  const evalAt = (zr, zi) => {
+    let re = 1;
+    let im = 0;
+    for (let k = degree - 1; k >= 0; k--) {
+      [re, im] = [re * zr - im * zi + monic[k], re * zi + im * zr];
+    }
+    return [re, im];
+  };
+  let roots = Array.from({ length: degree }, (_, k) => {
+    const angle = (2 * Math.PI * k) / degree + 0.4;
+    return [
+      0.9 * Math.cos(angle) * (1 + Math.abs(monic[0]) ** (1 / degree)),
+      0.9 * Math.sin(angle),
+    ];
+  });
+  for (let iter = 0; iter < 500; iter++) {
+    let delta = 0;
+    roots = roots.map(([zr, zi], k) => {
+      let [nr, ni] = evalAt(zr, zi);
+      roots.forEach(([wr, wi], j) => {
+        if (j === k) return;
+        const dr = zr - wr;
+        const di = zi - wi;
+        const den = dr * dr + di * di || 1e-300;
+        [nr, ni] = [(nr * dr + ni * di) / den, (ni * dr - nr * di) / den];
+      });
+      delta = Math.max(delta, Math.hypot(nr, ni));
+      return [zr - nr, zi - ni];
+    });
+    if (delta < 1e-14) break;
+  }
+  const real = [];
+  const complex = [];
+  roots.forEach(([re, im]) => {
+    if (Math.abs(im) < 1e-7 * Math.max(1, Math.abs(re))) real.push(re);
+    else complex.push({ re, im });
+  });
+  real.sort((a, b) => a - b);
+  const unique = real.filter(
+    (r, idx) =>
+      idx === 0 || Math.abs(r - real[idx - 1]) > 1e-6 * Math.max(1, Math.abs(r))
+  );
+  return { degree, roots: unique, complex };
+}
+
+// Utility: Whether text still has words once function and constant names are removed.
+// Words would otherwise parse as products of single-letter variables.
+function hasProseWords(text) {
+  return /[a-z]{3,}/i.test(
+    MATH_NAMES.reduce((str, name) => str.split(name).join(" "), String(text))
+  );
+}
+
+// Utility: Strip instruction words ("Solve for x:", "Evaluate", "?") around the math in a problem.
+// Factor and expand requests keep just the expression: the answer must stay equivalent to it.
+function extractMathText(text) {
+  let str = String(text || "").trim();
+  if (/[\\{$]/.test(str)) str = latexToPlain(str, "text");
+  if (str.includes(":")) str = str.slice(str.lastIndexOf(":") + 1);
+  return str
+    .replace(
+      /\b(solve|simplify|evaluate|calculate|compute|find|factor|factori[sz]e|expand|what is|for [a-z]|the value of|equation)\b/gi,
+      " "
+    )
+    .replace(/[?]/g, " ")
+    .replace(/\.\s*$/, "")
+    .trim();
+}
+
+// Utility: Plain text of an answer without trailing units ("12 cm^2", "x = 4 cm",
+// "40 mph", "12\text{ cm}^2" become "12", "x = 4", "40", "12"). A unit is a word of two
+// or more letters (or m, g, s, l) after a space; function and constant names are kept.
+function stripAnswerUnits(answer) {
+  const raw = String(answer || "");
+  const plain = /[\\{$]/.test(raw) ? latexToPlain(raw) : raw;
+  const word = "(?:[a-z]{2,}|[mgsl])(?:\\s*\\^\\s*\\d+|[²³])?";
+  const unit = `${word}(?:\\s*\\/\\s*${word})?`;
+  const units = new RegExp(
+    `([\\d).])\\s+(${unit}(?:\\s+${unit})*)(?=\\s*(?:[,;]|\\b(?:and|or)\\b|$))`,
+    "gi"
+  );
+  return plain.replace(units, (all, before, text) =>
+    text
+      .split(/[\s/^²³\d]+/)
+      .some(
+        (w) => MATH_NAMES.includes(w.toLowerCase()) || /^(and|or)$/i.test(w)
+      )
+      ? all
+      : before
+  );
+}
+
+// Utility: Candidate values stated in a final answer ("x = 2 or x = -3", "x = ±√2", "1/2")
+function parseAnswerValues(answer) {
+  const raw = String(answer || "");
+  const plain = /[\\{$]/.test(raw) ? latexToPlain(raw) : raw;
+  const text = normalizeMathSymbols(plain)
+    .replace(/\b(and|or)\b/gi, ",")
+    .replace(/;/g, ",");
+  const values = [];
+  text.split(",").forEach((piece) => {
+    let expr = piece.includes("=")
+      ? piece.slice(piece.lastIndexOf("=") + 1)
+      : piece;
+    expr = expr.replace(/^[^\d\-+.(a-z±]*|[^\d)a-z!.]*$/gi, "").trim();
+    if (!expr) return;
+    const variants = expr.includes("±")
+      ? [expr.replace("±", "+"), expr.replace("±", "-")]
+      : [expr];
+    variants.forEach((v) => {
+      try {
+        const ast = parseMath(v.replace(/^\+/, ""));
+        if (mathVariables(ast).size) return;
+        const value = evaluateMath(ast);
+        const decimals = (v.match(/\.(\d+)/) || ["", ""])[1].length;
+        if (isFinite(value)) values.push({ value, decimals });
+      } catch {}
+    });
+  });
+  return values;
+}
+
+// Utility: Independently check a final answer against the original problem.
+// Returns { status: "verified" | "mismatch" | "unverified", message }
+function verifySolution(problem, finalAnswer) {
+  const unverified = (message) => ({ status: "unverified", message });
+  const text = extractMathText(problem);
+  if (!text || !finalAnswer) return unverified("Nothing to check.");
+  if (hasProseWords(text))
+    return unverified(
+      "Only plain expressions and equations are checked locally."
+    );
+  const answerText = String(finalAnswer);
+
+  try {
+    const eq = parseMathEquation(text);
+    if (eq) {
+      const vars = [
+        ...new Set([...mathVariables(eq.lhs), ...mathVariables(eq.rhs)]),
+      ];
+      if (vars.length !== 1)
+        return unverified(
+          "Only single-variable equations are checked locally."
+        );
+      const v = vars[0];
+      const f = (x) =>
+        evaluateMath(eq.lhs, { [v]: x }) - evaluateMath(eq.rhs, { [v]: x });
+      const poly = mathPolynomial(
+        { type: "bin", op: "-", left: eq.lhs, right: eq.rhs },
+        v
+      );
+      const solved = poly ? solvePolynomial(poly) : null;
+      const noSolution = /no (real )?(solution|roots?)|∅|empty set/i.test(
+        answerText
+      );
+      if (noSolution) {
+        if (solved && !solved.roots.length && !solved.identity)
+          return {
+            status: "verified",
+            message: "The equation has no real solution.",
+          };
+        if (solved)
+          return {
+            status: "mismatch",
+            message: `Expected ${v} = ${solved.roots
+              .map(formatMathNumber)
+              .join(", ")}`,
+          };
+        return unverified("Could not confirm that no solution exists.");
+      }
+      const candidates = parseAnswerValues(answerText);
+      if (!candidates.length)
+        return unverified("No numeric value found in the answer.");
+      // A stated value passes if the equation has a root within its rounding precision.
+      // Values where either side is undefined (a pole, division by zero) never pass, and
+      // neither does a sign change across a pole (tan x at π/2): near a root |f| shrinks
+      // as the bracket narrows and is smallest at the value itself.
+      const isRootNear = ({ value, decimals }) => {
+        const lhs = evaluateMath(eq.lhs, { [v]: value });
+        const rhs = evaluateMath(eq.rhs, { [v]: value });
+        const y = f(value);
+        if (!isFinite(lhs) || !isFinite(rhs) || !isFinite(y)) return false;
+        if (Math.abs(y) <= 1e-7 * Math.max(1, Math.abs(lhs), Math.abs(rhs)))
+          return true;
+        const delta = decimals
+          ? 0.51 * Math.pow(10, -decimals)
+          : 1e-7 * Math.max(1, Math.abs(value));
+        const below = f(value - delta);
+        const above = f(value + delta);
+        const outer = Math.max(Math.abs(below), Math.abs(above));
+        const inner = Math.max(
+          Math.abs(f(value - delta / 2)),
+          Math.abs(f(value + delta / 2))
+        );
+        return (
+          isFinite(outer) &&
+          Math.sign(below) !== Math.sign(above) &&
+          Math.abs(y) <= outer &&
+          inner <= outer
+        );
+      };
+      const bad = candidates.filter((c) => !isRootNear(c));
+      if (bad.length) {
+        return {
+          status: "mismatch",
+          message: `${v} = ${formatMathNumber(
+            bad[0].value
+          )} does not satisfy the equation.`,
+        };
+      }
+      if (solved) {
+        const missing = solved.roots.filter(
+          (r) =>
+            !candidates.some(
+              (c) =>
+                Math.abs(c.value - r) <=
+                Math.max(
+                  1e-6 * Math.max(1, Math.abs(r)),
+                  c.decimals ? 0.51 * Math.pow(10, -c.decimals) : 0
+                )
+            )
+        );
+        if (missing.length) {
+          return {
+            status: "mismatch",
+            message: `Missing solution ${v} = ${formatMathNumber(missing[0])}.`,
+          };
+        }
+      }
+      return {
+        status: "verified",
+        message: `Substituting back into the equation checks out.`,
+      };
+    }
+
+    const ast = parseMath(text);
+    const vars = [...mathVariables(ast)];
+    const answerExpr = answerText.includes("=")
+      ? answerText.slice(answerText.lastIndexOf("=") + 1)
+      : answerText;
+    if (!vars.length) {
+      const expected = evaluateMath(ast);
+      const candidates = parseAnswerValues(answerExpr);
+      if (!candidates.length || !isFinite(expected))
+        return unverified("No numeric value found in the answer.");
+      const { value, decimals } = candidates[0];
+      const tolerance = decimals
+        ? 0.51 * Math.pow(10, -decimals)
+        : 1e-9 * Math.max(1, Math.abs(expected));
+      return Math.abs(value - expected) <= tolerance
+        ? {
+            status: "verified",
+            message: `Computed value: ${formatMathNumber(expected)}`,
+          }
+        : {
+            status: "mismatch",
+            message: `Computed value: ${formatMathNumber(expected)}`,
+          };
+    }
+
+    // Symbolic answers: compare both expressions at random sample points
+    const answerAst = parseMath(answerExpr.replace(/[.\s]+$/, ""));
+    const answerVars = mathVariables(answerAst);
+    if ([...answerVars].some((name) => !vars.includes(name)))
+      return unverified("The answer uses unexpected variables.");
+    let compared = 0;
+    for (let trial = 0; trial < 12 && compared < 5; trial++) {
+      const scope = Object.fromEntries(
+        vars.map((name) => [name, Math.random() * 4 + 0.5])
+      );
+      const a = evaluateMath(ast, scope);
+      const b = evaluateMath(answerAst, scope);
+      if (!isFinite(a) || !isFinite(b)) continue;
+      if (Math.abs(a - b) > 1e-6 * Math.max(1, Math.abs(a))) {
+        return {
+          status: "mismatch",
+          message: `Simplifies to ${simplifyExpression(text)}`,
+        };
+      }
+      compared++;
+    }
+    return compared
+      ? {
+          status: "verified",
+          message: "Equivalent to the original expression.",
+        }
+      : unverified("Could not evaluate the expression.");
+  } catch {
+    return unverified("This problem type cannot be checked locally yet.");
+  }
+}
+
+// Utility: Check a student's answer against the expected one, accepting equivalent forms:
+// the same set of values in any order (3/4 = 0.75, rounded decimals), or expressions that
+// agree at sample points (2x + 3 = 3 + 2x). Units are ignored. Falls back to checking the
+// answer against the problem itself. Returns { status: "correct" | "incorrect" | "unknown", message }
+function compareAnswers(expected, given, problem = "") {
+  expected = stripAnswerUnits(expected);
+  given = stripAnswerUnits(given);
+  const squash = (text) => {
+    const raw = String(text || "");
+    return (/[\\{$]/.test(raw) ? latexToPlain(raw) : raw)
+      .toLowerCase()
+      .replace(/[\s$]+/g, "");
+  };
+  if (!squash(given)) {
+    return { status: "unknown", message: "Enter an answer first." };
+  }
+  if (squash(expected) === squash(given)) {
+    return { status: "correct", message: "Correct!" };
+  }
+
+  try {
+    const want = parseAnswerValues(expected);
+    const got = parseAnswerValues(given);
+    if (want.length && got.length) {
+      // A rounded expected value (x ≈ 1.41) accepts answers that round to it;
+      // the student's own precision never widens the tolerance
+      const close = (want, got) =>
+        Math.abs(want.value - got.value) <=
+        Math.max(
+          1e-6 * Math.max(1, Math.abs(want.value)),
+          want.decimals ? 0.51 * Math.pow(10, -want.decimals) : 0
+        );
+      const unmatched = got.filter((g) => !want.some((w) => close(w, g)));
+      const missing = want.filter((w) => !got.some((g) => close(w, g)));
+      if (!unmatched.length && !missing.length) {
+        return { status: "correct", message: "Correct!" };
+      }
+      if (!unmatched.length) {
+        return {
+          status: "incorrect",
+          message: `Almost: ${missing.length} more value${
+            missing.length === 1 ? " is" : "s are"
+          } missing.`,
+        };
+      }
+      return { status: "incorrect", message: "Not quite. Try again." };
+    }
+
+    // Symbolic answers: compare both sides of "=" at random sample points.
+    // Words ("see the solution") are not compared.
+    const side = (text) => {
+      const raw = String(text);
+      const plain = /[\\{$]/.test(raw) ? latexToPlain(raw) : raw;
+      return plain.slice(plain.lastIndexOf("=") + 1);
+    };
+    const a = hasProseWords(side(expected)) ? null : parseMath(side(expected));
+    const b = hasProseWords(side(given)) ? null : parseMath(side(given));
+    const vars =
+      a && b ? [...new Set([...mathVariables(a), ...mathVariables(b)])] : [];
+    if (vars.length) {
+      let compared = 0;
+      for (let trial = 0; trial < 12 && compared < 5; trial++) {
+        const scope = Object.fromEntries(
+          vars.map((name) => [name, Math.random() * 4 + 0.5])
+        );
+        const va = evaluateMath(a, scope);
+        const vb = evaluateMath(b, scope);
+        if (!isFinite(va) || !isFinite(vb)) continue;
+        if (Math.abs(va - vb) > 1e-6 * Math.max(1, Math.abs(va))) {
+          return { status: "incorrect", message: "Not quite. Try again." };
+        }
+        compared++;
+      }
+      if (compared) return { status: "correct", message: "Correct!" };
+    }
+  } catch {}
+
+  const check = problem ? verifySolution(problem, given) : null;
+  if (check?.status === "verified") {
+    return { status: "correct", message: "Correct!" };
+  }
+  if (check?.status === "mismatch") {
+    return { status: "incorrect", message: "Not quite. Try again." };
+  }
+  return {
+    status: "unknown",
+    message:
+      "This answer can't be checked automatically. Compare it with the solution.",
+  };
+}
+
+// Utility: Check a student's equation for one solution step. Each side must match the
+// step's side (in either order), so 10 = 2x passes for 2x = 10 but retyping an earlier
+// equation does not: in a linear solve every step is a rescaling of the one before it.
+// `previous` is the equation the step starts from, used for a more helpful message.
+// Anything that is not an equation is compared like a final answer.
+function compareStepEquation(expected, given, previous = "") {
+  const equation = (text) => {
+    const raw = String(text || "");
+    return parseMathEquation(/[\\{$]/.test(raw) ? latexToPlain(raw) : raw);
+  };
+  // Expressions agree at sample points (null when they could not be evaluated)
+  const sameValue = (x, y) => {
+    const vars = [...new Set([...mathVariables(x), ...mathVariables(y)])];
+    let compared = 0;
+    for (let trial = 0; trial < 12 && compared < 5; trial++) {
+      const scope = Object.fromEntries(
+        vars.map((name) => [name, Math.random() * 4 + 0.5])
+      );
+      const vx = evaluateMath(x, scope);
+      const vy = evaluateMath(y, scope);
+      if (!isFinite(vx) || !isFinite(vy)) continue;
+      if (Math.abs(vx - vy) > 1e-6 * Math.max(1, Math.abs(vx))) return false;
+      compared++;
+    }
+    return compared ? true : null;
+  };
+  const sameEquation = (p, q) =>
+    (sameValue(p.lhs, q.lhs) && sameValue(p.rhs, q.rhs)) ||
+    (sameValue(p.lhs, q.rhs) && sameValue(p.rhs, q.lhs));
+  try {
+    const a = equation(expected);
+    const b = equation(given);
+    if (a && b) {
+      if (sameEquation(a, b)) return { status: "correct", message: "Correct!" };
+      const before = previous ? equation(previous) : null;
+      return {
+        status: "incorrect",
+        message:
+          before && sameEquation(before, b)
+            ? "That is the equation you start this step from. Apply the hint to it."
+            : "Not quite. Try again.",
+      };
+    }
+  } catch {}
+  return compareAnswers(expected, given);
+}
+
+// --- Offline Solver ---
+// Deterministic step-by-step solutions for common problem classes, used when
+// no AI endpoint is reachable. Emits the same shape as the math_solution schema.
+
+const OFFLINE_UNSUPPORTED_MESSAGE =
+  "Offline mode can't solve this type of problem yet. It supports arithmetic, fractions, percentages, linear and quadratic equations, and systems of two equations.";
+
+function offlineStep(explanation, equation) {
+  return { explanation, equation };
+}
+
+// Utility: Greatest common divisor of two integers
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+// Utility: Exact fraction leaf in lowest terms with a positive denominator
+function makeRational(n, d = 1) {
+  if (d === 0) throw new Error("Division by zero is undefined.");
+  const g = gcd(n, d) || 1;
+  const sign = d < 0 ? -1 : 1;
+  return { type: "rat", n: (sign * n) / g, d: (sign * d) / g };
+}
+
+// Utility: Convert parsed integer literals (and literal fractions like 2/4) into exact leaves
+function toExactArithmetic(node) {
+  const isInt = (n) => n.type === "num" && Number.isInteger(n.value);
+  if (node.type === "num") {
+    return isInt(node) ? makeRational(node.value) : node;
+  }
+  if (
+    node.type === "bin" &&
+    node.op === "/" &&
+    isInt(node.left) &&
+    isInt(node.right) &&
+    node.right.value !== 0
+  ) {
+    // Kept unreduced so "reduce to lowest terms" shows up as its own step
+    return { type: "rat", n: node.left.value, d: node.right.value };
+  }
+  const out = { ...node };
+  if (node.arg) out.arg = toExactArithmetic(node.arg);
+  if (node.left) out.left = toExactArithmetic(node.left);
+  if (node.right) out.right = toExactArithmetic(node.right);
+  if (out.type === "neg" && out.arg.type === "rat")
+    return { ...out.arg, n: -out.arg.n };
+  if (out.type === "neg" && out.arg.type === "num")
+    return { type: "num", value: -out.arg.value };
+  return out;
+}
+
+// Utility: Perform the next operation (in order of operations) on an arithmetic tree.
+// Returns { node, explanation } or null when the tree is a single value.
+function reduceArithmeticOnce(node) {
+  const isLeaf = (n) => n.type === "rat" || n.type === "num";
+  const value = (n) => (n.type === "rat" ? n.n / n.d : n.value);
+  const show = (n) => formatMath(n);
+  const asNumber = (v) =>
+    Number.isInteger(v) && Math.abs(v) < 1e15
+      ? makeRational(v)
+      : { type: "num", value: v };
+
+  if (node.type === "rat" && gcd(node.n, node.d) > 1) {
+    const result = makeRational(node.n, node.d);
+    return {
+      node: result,
+      explanation: `Reduce ${show(
+        node
+      )} to lowest terms by dividing the top and bottom by ${gcd(
+        node.n,
+        node.d
+      )}: ${show(result)}.`,
+    };
+  }
+  if (isLeaf(node)) return null;
+  if (node.type === "const") {
+    return {
+      node: { type: "num", value: MATH_CONSTANTS[node.name] },
+      explanation: `Use the value ${formatMath(node)} ≈ ${formatMathNumber(
+        MATH_CONSTANTS[node.name]
+      )}.`,
+    };
+  }
+  if (node.type === "neg" && isLeaf(node.arg)) {
+    const arg = node.arg;
+    return {
+      node:
+        arg.type === "rat"
+          ? makeRational(-arg.n, arg.d)
+          : { type: "num", value: -arg.value },
+      explanation: "Apply the negative sign.",
+    };
+  }
+
+  // Reduce children first (left to right), so the tree order gives the order of operations
+  for (const key of ["arg", "left", "right"]) {
+    if (!node[key]) continue;
+    const reduced = reduceArithmeticOnce(node[key]);
+    if (reduced)
+      return {
+        node: { ...node, [key]: reduced.node },
+        explanation: reduced.explanation,
+      };
+  }
+
+  if (node.type === "fn") {
+    const arg = node.arg;
+    if (node.name === "sqrt" && arg.type === "rat" && arg.n >= 0) {
+      const rn = Math.round(Math.sqrt(arg.n));
+      const rd = Math.round(Math.sqrt(arg.d));
+      if (rn * rn === arg.n && rd * rd === arg.d) {
+        const result = makeRational(rn, rd);
+        return {
+          node: result,
+          explanation: `Take the square root: √${show(arg)} = ${show(result)}.`,
+        };
+      }
+    }
+    const result = MATH_FUNCTIONS[node.name](value(arg));
+    if (!isFinite(result))
+      throw new Error(`${node.name}(${show(arg)}) is undefined.`);
+    return {
+      node: { type: "num", value: result },
+      explanation: `Evaluate ${show(node)} ≈ ${formatMathNumber(result)}.`,
+    };
+  }
+  if (node.type === "fact") {
+    const result = evaluateMath(node);
+    if (!isFinite(result))
+      throw new Error(`${show(node)} is only defined for whole numbers.`);
+    return {
+      node: asNumber(result),
+      explanation: `Evaluate the factorial: ${show(node)} = ${formatMathNumber(
+        result
+      )}.`,
+    };
+  }
+
+  const { op, left, right } = node;
+  const exact = left.type === "rat" && right.type === "rat";
+  const before = show(node);
+  if (!exact) {
+    const result = evaluateMath({
+      ...node,
+      left: { type: "num", value: value(left) },
+      right: { type: "num", value: value(right) },
+    });
+    if (!isFinite(result)) throw new Error(`${before} is undefined.`);
+    const verbs = {
+      "+": "Add",
+      "-": "Subtract",
+      "*": "Multiply",
+      "/": "Divide",
+      "^": "Evaluate the power",
+    };
+    return {
+      node: asNumber(result),
+      explanation: `${verbs[op]}: ${before} = ${formatDecimal(result)}.`,
+    };
+  }
+
+  const fraction = left.d !== 1 || right.d !== 1;
+  let result;
+  let explanation;
+  if (op === "+" || op === "-") {
+    const sign = op === "+" ? 1 : -1;
+    const lcd = (left.d * right.d) / gcd(left.d, right.d);
+    const ln = left.n * (lcd / left.d);
+    const rn = right.n * (lcd / right.d);
+    result = makeRational(ln + sign * rn, lcd);
+    const verb = op === "+" ? "Add" : "Subtract";
+    if (!fraction) {
+      explanation = `${verb}: ${before} = ${show(result)}.`;
+    } else {
+      const combined = `${ln + sign * rn}/${lcd}`;
+      explanation = `${verb} the fractions using the common denominator ${lcd}: ${ln}/${lcd} ${op} ${rn}/${lcd} = ${combined}`;
+      explanation +=
+        combined !== show(result)
+          ? `, which simplifies to ${show(result)}.`
+          : ".";
+    }
+  } else if (op === "*") {
+    result = makeRational(left.n * right.n, left.d * right.d);
+    explanation = fraction
+      ? `Multiply the numerators and the denominators: ${before} = ${
+          left.n * right.n
+        }/${left.d * right.d}${
+          left.d * right.d !== result.d
+            ? `, which simplifies to ${show(result)}`
+            : ""
+        }.`
+      : `Multiply: ${before} = ${show(result)}.`;
+  } else if (op === "/") {
+    if (right.n === 0) throw new Error("Division by zero is undefined.");
+    result = makeRational(left.n * right.d, left.d * right.n);
+    explanation = fraction
+      ? `Divide by multiplying by the reciprocal: ${show(left)} × ${
+          makeRational(right.d, right.n).n
+        }/${Math.abs(right.n)} = ${show(result)}.`
+      : `Divide: ${before} = ${show(result)}${
+          result.d !== 1 ? " (kept as an exact fraction)" : ""
+        }.`;
+  } else {
+    // Powers stay exact only for integer exponents
+    if (right.d !== 1 || Math.abs(right.n) > 64) {
+      const approx = Math.pow(value(left), value(right));
+      if (!isFinite(approx)) throw new Error(`${before} is undefined.`);
+      return {
+        node: { type: "num", value: approx },
+        explanation: `Evaluate the power: ${before} ≈ ${formatMathNumber(
+          approx
+        )}.`,
+      };
+    }
+    const k = Math.abs(right.n);
+    const n = Math.pow(left.n, k);
+    const d = Math.pow(left.d, k);
+    if (right.n < 0 && n === 0)
+      throw new Error("Division by zero is undefined.");
+    result = right.n < 0 ? makeRational(d, n) : makeRational(n, d);
+    explanation = `Evaluate the power: ${before} = ${show(result)}.`;
+  }
+  return { node: result, explanation };
+}
+
+// Utility: Format an exact value as "5/4 = 1.25" (or just "3" for integers)
+function formatExactAnswer(node) {
+  if (node.type === "rat") {
+    if (node.d === 1) return String(node.n);
+    const decimal = node.n / node.d;
+    const rounded = Number(decimal.toPrecision(6));
+    return `${node.n}/${node.d} ${rounded === decimal ? "=" : "≈"} ${rounded}`;
+  }
+  return formatDecimal(node.value);
+}
+
+// Solves pure arithmetic (including fractions) one operation at a time
+function solveArithmeticOffline(ast) {
+  let node = toExactArithmetic(ast);
+  const hasFractions = /\//.test(formatMath(node));
+  const steps = [
+    offlineStep(
+      "Start with the expression. Work inside parentheses first, then powers, then multiplication and division, then addition and subtraction, left to right.",
+      formatMath(node)
+    ),
+  ];
+  for (let guard = 0; guard < 60; guard++) {
+    const reduced = reduceArithmeticOnce(node);
+    if (!reduced) break;
+    const changed = formatMath(reduced.node) !== formatMath(node);
+    node = reduced.node;
+    if (changed) steps.push(offlineStep(reduced.explanation, formatMath(node)));
+  }
+  return {
+    steps,
+    final_answer: formatExactAnswer(node),
+    difficulty_level: hasFractions || steps.length > 6 ? "Medium" : "Easy",
+    tips: hasFractions
+      ? [
+          "To add or subtract fractions, rewrite them over a common denominator first.",
+          "To divide by a fraction, multiply by its reciprocal.",
+          "Always reduce the final fraction to lowest terms.",
+        ]
+      : [
+          "Remember the order of operations: parentheses, exponents, multiplication/division, addition/subtraction.",
+          "Estimate the answer first to catch arithmetic slips.",
+        ],
+  };
+}
+
+// Solves common percentage word problems ("20% of 150", "30 is what percent of 120", ...)
+function solvePercentageOffline(text) {
+  const t = normalizeMathSymbols(text)
+    .toLowerCase()
+    .replace(/(\d),(\d{3})/g, "$1$2");
+  const num = "(-?\\d*\\.?\\d+)";
+  const pct = "\\s*(?:%|percent)";
+  const fmt = formatDecimal;
+  const tips = [
+    "“Percent” means “per hundred”, so p% = p/100.",
+    "“Of” in a percentage problem means multiply.",
+  ];
+  const build = (steps, answer) => ({
+    steps,
+    final_answer: answer,
+    difficulty_level: "Easy",
+    tips,
+  });
+  let m;
+
+  if (
+    (m = t.match(
+      new RegExp(`what${pct}(?:age)?\\s*of\\s*${num}\\s*is\\s*${num}`)
+    )) ||
+    (m = t.match(
+      new RegExp(`${num}\\s*is\\s*what${pct}(?:age)?\\s*of\\s*${num}`)
+    ))
+  ) {
+    const [part, whole] =
+      t.startsWith("what") || /^\D*what/.test(t)
+        ? [parseFloat(m[2]), parseFloat(m[1])]
+        : [parseFloat(m[1]), parseFloat(m[2])];
+    if (whole === 0) throw new Error("The whole cannot be zero.");
+    const result = (part / whole) * 100;
+    return build(
+      [
+        offlineStep(
+          "Percentage = (part ÷ whole) × 100.",
+          `p = ${fmt(part)}/${fmt(whole)} × 100`
+        ),
+        offlineStep(
+          "Divide the part by the whole.",
+          `${fmt(part)}/${fmt(whole)} = ${fmt(part / whole)}`
+        ),
+        offlineStep(
+          "Multiply by 100 to convert to a percentage.",
+          `p = ${fmt(result)}%`
+        ),
+      ],
+      `${fmt(result)}%`
+    );
+  }
+  if ((m = t.match(new RegExp(`${num}\\s*is\\s*${num}${pct}\\s*of\\s*what`)))) {
+    const part = parseFloat(m[1]);
+    const p = parseFloat(m[2]);
+    if (p === 0) throw new Error("The percentage cannot be zero.");
+    const result = part / (p / 100);
+    return build(
+      [
+        offlineStep(
+          `Let the unknown number be n. ${fmt(p)}% of n is ${fmt(part)}.`,
+          `${fmt(p / 100)} × n = ${fmt(part)}`
+        ),
+        offlineStep(
+          `Divide both sides by ${fmt(p / 100)}.`,
+          `n = ${fmt(part)}/${fmt(p / 100)} = ${fmt(result)}`
+        ),
+      ],
+      fmt(result)
+    );
+  }
+  if (
+    (m = t.match(
+      new RegExp(`(increase|decrease)\\s*${num}\\s*by\\s*${num}${pct}`)
+    ))
+  ) {
+    const base = parseFloat(m[2]);
+    const p = parseFloat(m[3]);
+    const sign = m[1] === "increase" ? 1 : -1;
+    const change = (base * p) / 100;
+    const result = base + sign * change;
+    return build(
+      [
+        offlineStep(
+          `Find ${fmt(p)}% of ${fmt(base)}.`,
+          `${fmt(p / 100)} × ${fmt(base)} = ${fmt(change)}`
+        ),
+        offlineStep(
+          `${
+            sign > 0 ? "Add the increase to" : "Subtract the decrease from"
+          } the original amount.`,
+          `${fmt(base)} ${sign > 0 ? "+" : "-"} ${fmt(change)} = ${fmt(result)}`
+        ),
+      ],
+      fmt(result)
+    );
+  }
+  if ((m = t.match(new RegExp(`change\\s*from\\s*${num}\\s*to\\s*${num}`)))) {
+    const from = parseFloat(m[1]);
+    const to = parseFloat(m[2]);
+    if (from === 0) throw new Error("The original value cannot be zero.");
+    const result = ((to - from) / Math.abs(from)) * 100;
+    return build(
+      [
+        offlineStep(
+          "Percent change = (new − old) ÷ |old| × 100.",
+          `(${fmt(to)} - ${fmt(from)})/${fmt(Math.abs(from))} × 100`
+        ),
+        offlineStep(
+          "Compute the difference and divide.",
+          `${fmt(to - from)}/${fmt(Math.abs(from))} = ${fmt(
+            (to - from) / Math.abs(from)
+          )}`
+        ),
+        offlineStep("Multiply by 100.", `${fmt(result)}%`),
+      ],
+      `${fmt(result)}%`
+    );
+  }
+  if ((m = t.match(new RegExp(`${num}${pct}\\s*of\\s*${num}`)))) {
+    const p = parseFloat(m[1]);
+    const base = parseFloat(m[2]);
+    const result = (p / 100) * base;
+    return build(
+      [
+        offlineStep(
+          `Convert ${fmt(p)}% to a decimal by dividing by 100.`,
+          `${fmt(p)}% = ${fmt(p / 100)}`
+        ),
+        offlineStep(
+          `Multiply by ${fmt(base)} (“of” means multiply).`,
+          `${fmt(p / 100)} × ${fmt(base)} = ${fmt(result)}`
+        ),
+      ],
+      fmt(result)
+    );
+  }
+  if ((m = t.match(new RegExp(`^\\s*${num}${pct}\\s*$`)))) {
+    const p = parseFloat(m[1]);
+    return build(
+      [
+        offlineStep(
+          "Divide by 100 to write the percentage as a decimal.",
+          `${fmt(p)}% = ${fmt(p)}/100 = ${fmt(p / 100)}`
+        ),
+      ],
+      fmt(p / 100)
+    );
+  }
+  return null;
+}
+
+// Utility: Sample y = f(x) around a center for a line graph
+function sampleGraph(f, center, halfWidth) {
+  const points = [];
+  for (let k = 0; k <= 40; k++) {
+    const x = center - halfWidth + (k * 2 * halfWidth) / 40;
+    const y = f(x);
+    if (isFinite(y))
+      points.push({
+        x: Number(x.toPrecision(10)),
+        y: Number(y.toPrecision(10)),
+      });
+  }
+  return { type: "line", points };
+}
+
+// Solves linear, quadratic (and, numerically, higher-degree) equations in one variable
+function solveSingleVariableOffline(eq, v) {
+  const lhs = mathPolynomial(eq.lhs, v);
+  const rhs = mathPolynomial(eq.rhs, v);
+  if (!lhs || !rhs) throw new Error(OFFLINE_UNSUPPORTED_MESSAGE);
+  const fmtPoly = (c) => formatPolynomial(trimPolynomial(c), v);
+  const fmt = formatMathNumber;
+  const diff = trimPolynomial(
+    Array.from(
+      { length: Math.max(lhs.length, rhs.length) },
+      (_, i) => (lhs[i] || 0) - (rhs[i] || 0)
+    )
+  );
+  const degree = diff.length - 1;
+  const original = `${formatMath(eq.lhs)} = ${formatMath(eq.rhs)}`;
+  const steps = [offlineStep("Start with the equation.", original)];
+  const collected = `${fmtPoly(lhs)} = ${fmtPoly(rhs)}`;
+  if (collected !== original)
+    steps.push(
+      offlineStep("Expand and combine like terms on each side.", collected)
+    );
+  const f = (x) => diff.reduce((sum, c, i) => sum + c * Math.pow(x, i), 0);
+
+  if (degree <= 1) {
+    const [b1 = 0, a1 = 0] = trimPolynomial(lhs);
+    const [b2 = 0, a2 = 0] = trimPolynomial(rhs);
+    const a = a1 - a2;
+    if (Math.abs(a) < 1e-12) {
+      const identity = Math.abs(b2 - b1) < 1e-12;
+      steps.push(
+        offlineStep(
+          `${a2 > 0 ? "Subtract" : "Add"} ${fmtPoly([0, Math.abs(a2)])} ${
+            a2 > 0 ? "from" : "to"
+          } both sides. The ${v} terms cancel, and ` +
+            (identity
+              ? `both sides are equal, so every value of ${v} works.`
+              : `the remaining statement is false, so no value of ${v} works.`),
+          `${fmt(b1)} = ${fmt(b2)}`
+        )
+      );
+      return {
+        steps,
+        final_answer: identity
+          ? "All real numbers (infinitely many solutions)"
+          : "No solution",
+        difficulty_level: "Easy",
+        tips: [
+          `When the ${v} terms cancel, check whether the remaining statement is always true or always false.`,
+        ],
+      };
+    }
+    if (a2 !== 0) {
+      steps.push(
+        offlineStep(
+          `${a2 > 0 ? "Subtract" : "Add"} ${fmtPoly([0, Math.abs(a2)])} ${
+            a2 > 0 ? "from" : "to"
+          } both sides to collect the ${v} terms on the left.`,
+          `${fmtPoly([b1, a])} = ${fmt(b2)}`
+        )
+      );
+    }
+    if (b1 !== 0) {
+      steps.push(
+        offlineStep(
+          `${b1 > 0 ? "Subtract" : "Add"} ${fmt(Math.abs(b1))} ${
+            b1 > 0 ? "from" : "to"
+          } both sides.`,
+          `${fmtPoly([0, a])} = ${fmt(b2 - b1)}`
+        )
+      );
+    }
+    const x = (b2 - b1) / a;
+    if (a !== 1)
+      steps.push(
+        offlineStep(`Divide both sides by ${fmt(a)}.`, `${v} = ${fmt(x)}`)
+      );
+    steps.push(
+      offlineStep(
+        `Check: substitute ${v} = ${fmt(x)} back into the original equation.`,
+        `${fmt(evaluateMath(eq.lhs, { [v]: x }))} = ${fmt(
+          evaluateMath(eq.rhs, { [v]: x })
+        )}`
+      )
+    );
+    return {
+      steps,
+      final_answer: `${v} = ${fmt(x)}`,
+      difficulty_level: "Easy",
+      tips: [
+        "Whatever you do to one side of an equation, do to the other side.",
+        `Collect the ${v} terms on one side and the constants on the other.`,
+        "Substitute your answer back into the original equation to check it.",
+      ],
+      graph_data: sampleGraph(f, x, 5),
+    };
+  }
+
+  if (
+    !(
+      rhs.length === 1 &&
+      rhs[0] === 0 &&
+      trimPolynomial(lhs).length === diff.length
+    )
+  ) {
+    steps.push(
+      offlineStep(
+        "Move every term to one side to get standard form.",
+        `${fmtPoly(diff)} = 0`
+      )
+    );
+  }
+
+  if (degree === 2) {
+    const [c, b, a] = diff;
+    const disc = b * b - 4 * a * c;
+    const tips = [
+      "Always write a quadratic in standard form ax² + bx + c = 0 first.",
+      "The discriminant b² − 4ac tells you how many real solutions there are.",
+      "If the discriminant is a perfect square, try factoring before using the formula.",
+    ];
+    steps.push(
+      offlineStep(
+        "Identify the coefficients.",
+        `a = ${fmt(a)}, b = ${fmt(b)}, c = ${fmt(c)}`
+      )
+    );
+    steps.push(
+      offlineStep(
+        "Compute the discriminant D = b² − 4ac.",
+        `D = (${fmt(b)})^2 - 4(${fmt(a)})(${fmt(c)}) = ${fmt(disc)}`
+      )
+    );
+    const vertex = -b / (2 * a);
+    const { roots, complex } = solvePolynomial(diff);
+    const spread = roots.length
+      ? Math.max(...roots.map((r) => Math.abs(r - vertex)))
+      : 0;
+    const graph_data = sampleGraph(f, vertex, Math.max(5, spread + 2));
+
+    if (disc < 0 && complex.length) {
+      const [{ re, im }] = complex;
+      steps.push(
+        offlineStep(
+          "The discriminant is negative, so there are no real solutions. The quadratic formula gives a pair of complex solutions.",
+          `${v} = ${fmt(re)} ± ${fmt(Math.abs(im))}i`
+        )
+      );
+      return {
+        steps,
+        final_answer: `No real solution (${v} = ${fmt(re)} ± ${fmt(
+          Math.abs(im)
+        )}i)`,
+        difficulty_level: "Medium",
+        tips,
+        graph_data,
+      };
+    }
+
+    const sqrtDisc = Math.sqrt(disc);
+    const rational =
+      [a, b, c].every((k) => Number.isInteger(k)) &&
+      Number.isInteger(Math.round(sqrtDisc)) &&
+      Math.abs(Math.round(sqrtDisc) ** 2 - disc) < 1e-9;
+    if (rational) {
+      const factor = (r) =>
+        r === 0 ? v : r > 0 ? `(${v} - ${fmt(r)})` : `(${v} + ${fmt(-r)})`;
+      const lead = a === 1 ? "" : a === -1 ? "-" : fmt(a);
+      const factored =
+        roots.length === 1
+          ? `${lead}${factor(roots[0])}^2 = 0`
+          : `${lead}${factor(roots[0])}${factor(roots[1])} = 0`;
+      steps.push(
+        offlineStep(
+          "The discriminant is a perfect square, so the quadratic factors.",
+          factored
+        )
+      );
+      steps.push(
+        offlineStep(
+          roots.length === 1
+            ? "Set the repeated factor equal to zero."
+            : "Set each factor equal to zero and solve.",
+          roots.map((r) => `${v} = ${fmt(r)}`).join(" or ")
+        )
+      );
+    } else {
+      steps.push(
+        offlineStep(
+          "Apply the quadratic formula x = (−b ± √D) / (2a).",
+          `${v} = (${fmt(-b)} ± √${fmt(disc)}) / ${fmt(2 * a)}`
+        )
+      );
+      steps.push(
+        offlineStep(
+          "Evaluate both signs.",
+          roots.map((r) => `${v} ≈ ${fmt(r)}`).join(" or ")
+        )
+      );
+    }
+    return {
+      steps,
+      final_answer:
+        roots.length === 1
+          ? `${v} = ${fmt(roots[0])}`
+          : roots
+              .map((r) => `${v} ${rational ? "=" : "≈"} ${fmt(r)}`)
+              .join(" or "),
+      difficulty_level: "Medium",
+      tips,
+      graph_data,
+    };
+  }
+
+  const { roots } = solvePolynomial(diff);
+  steps.push(
+    offlineStep(
+      `This is a degree ${degree} polynomial, so a numerical root finder is used to locate its real roots.`,
+      roots.length
+        ? roots.map((r) => `${v} ≈ ${fmt(r)}`).join(", ")
+        : "No real roots"
+    )
+  );
+  return {
+    steps,
+    final_answer: roots.length
+      ? roots.map((r) => `${v} ≈ ${fmt(r)}`).join(", ")
+      : "No real solution",
+    difficulty_level: "Hard",
+    tips: [
+      "Try the rational root theorem to find exact roots, then divide them out to reduce the degree.",
+    ],
+    graph_data: roots.length
+      ? sampleGraph(
+          f,
+          (roots[0] + roots[roots.length - 1]) / 2,
+          Math.max(3, (roots[roots.length - 1] - roots[0]) / 2 + 1)
+        )
+      : undefined,
+  };
+}
+
+// Utility: Coefficients { coeffs: [a, b], constant } of a linear equation a*x + b*y = constant, or null
+function linearEquationForm(eq, vars) {
+  const f = (scope) =>
+    evaluateMath(eq.lhs, scope) - evaluateMath(eq.rhs, scope);
+  const zero = Object.fromEntries(vars.map((name) => [name, 0]));
+  const k = f(zero);
+  const coeffs = vars.map((name) => f({ ...zero, [name]: 1 }) - k);
+  // Confirm the equation really is linear by probing a few other points
+  for (let trial = 0; trial < 3; trial++) {
+    const scope = Object.fromEntries(
+      vars.map((name) => [name, Math.random() * 10 - 5])
+    );
+    const predicted = vars.reduce(
+      (sum, name, i) => sum + coeffs[i] * scope[name],
+      k
+    );
+    if (
+      Math.abs(f(scope) - predicted) >
+      1e-8 * Math.max(1, Math.abs(predicted))
+    )
+      return null;
+  }
+  return {
+    coeffs: coeffs.map((c) => Number(c.toPrecision(12))),
+    constant: Number((-k).toPrecision(12)),
+  };
+}
+
+// Utility: Format a*x + b*y = c
+function formatLinearEquation({ coeffs, constant }, vars) {
+  const terms = coeffs
+    .map((c, i) => ({ c, name: vars[i] }))
+    .filter((t) => t.c !== 0)
+    .map((t, idx) => {
+      const abs = Math.abs(t.c);
+      const body = `${abs === 1 ? "" : formatMathNumber(abs)}${t.name}`;
+      return idx === 0
+        ? `${t.c < 0 ? "-" : ""}${body}`
+        : ` ${t.c < 0 ? "-" : "+"} ${body}`;
+    });
+  return `${terms.join("") || "0"} = ${formatMathNumber(constant)}`;
+}
+
+// Solves a system of two linear equations in two variables by elimination
+function solveLinearSystemOffline(first, second) {
+  const vars = [
+    ...new Set([
+      ...mathVariables(first.lhs),
+      ...mathVariables(first.rhs),
+      ...mathVariables(second.lhs),
+      ...mathVariables(second.rhs),
+    ]),
+  ].sort();
+  if (vars.length !== 2) throw new Error(OFFLINE_UNSUPPORTED_MESSAGE);
+  const e1 = linearEquationForm(first, vars);
+  const e2 = linearEquationForm(second, vars);
+  if (!e1 || !e2) throw new Error(OFFLINE_UNSUPPORTED_MESSAGE);
+  const [x, y] = vars;
+  const fmt = formatMathNumber;
+  const [a1, b1] = e1.coeffs;
+  const [a2, b2] = e2.coeffs;
+  const c1 = e1.constant;
+  const c2 = e2.constant;
+  const tips = [
+    "Line up the variables in the same order in both equations before eliminating.",
+    "Multiply the equations so one variable has matching coefficients, then subtract.",
+    "Substitute both values into the second equation to check your answer.",
+  ];
+  const steps = [
+    offlineStep(
+      "Write both equations in standard form.",
+      `(1) ${formatLinearEquation(e1, vars)}    (2) ${formatLinearEquation(
+        e2,
+        vars
+      )}`
+    ),
+  ];
+  const det = a1 * b2 - a2 * b1;
+  if (Math.abs(det) < 1e-12) {
+    const consistent =
+      Math.abs(c1 * b2 - c2 * b1) < 1e-9 && Math.abs(a1 * c2 - a2 * c1) < 1e-9;
+    steps.push(
+      offlineStep(
+        consistent
+          ? "The equations are multiples of each other, so they describe the same line."
+          : "The lines are parallel (same slope, different intercepts), so they never meet.",
+        `${fmt(a1)}·${fmt(b2)} - ${fmt(a2)}·${fmt(b1)} = 0`
+      )
+    );
+    return {
+      steps,
+      final_answer: consistent ? "Infinitely many solutions" : "No solution",
+      difficulty_level: "Medium",
+      tips,
+    };
+  }
+  const xValue = (c1 * b2 - c2 * b1) / det;
+  const yValue = (a1 * c2 - a2 * c1) / det;
+  steps.push(
+    offlineStep(
+      `Eliminate ${y}: multiply equation (1) by ${fmt(
+        b2
+      )} and equation (2) by ${fmt(b1)}, then subtract.`,
+      `${fmt(det)}${x} = ${fmt(c1 * b2 - c2 * b1)}`
+    )
+  );
+  steps.push(
+    offlineStep(`Divide both sides by ${fmt(det)}.`, `${x} = ${fmt(xValue)}`)
+  );
+  const [ba, bb, bc, label] =
+    b1 !== 0 ? [a1, b1, c1, "(1)"] : [a2, b2, c2, "(2)"];
+  steps.push(
+    offlineStep(
+      `Substitute ${x} = ${fmt(
+        xValue
+      )} into equation ${label} and solve for ${y}.`,
+      `${fmt(bb)}${y} = ${fmt(bc)} - ${fmt(ba)}(${fmt(
+        xValue
+      )})  →  ${y} = ${fmt(yValue)}`
+    )
+  );
+  return {
+    steps,
+    final_answer: `${x} = ${fmt(xValue)}, ${y} = ${fmt(yValue)}`,
+    difficulty_level: "Medium",
+    tips,
+  };
+}
+
+// Solve a problem locally; returns { steps, final_answer, difficulty_level, tips, graph_data? }
+function solveOffline(text) {
+  const percentage = solvePercentageOffline(text);
+  if (percentage) return percentage;
+
+  const math = extractMathText(text);
+  const parts = math
+    .split(/[;\n]|,(?![^(]*\))|\band\b/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  try {
+    if (parts.length === 2 && parts.every((part) => part.includes("="))) {
+      return solveLinearSystemOffline(
+        parseMathEquation(parts[0]),
+        parseMathEquation(parts[1])
+      );
+    }
+    const eq = parseMathEquation(math);
+    if (eq) {
+      const vars = [
+        ...new Set([...mathVariables(eq.lhs), ...mathVariables(eq.rhs)]),
+      ];
+      if (vars.length !== 1) throw new Error(OFFLINE_UNSUPPORTED_MESSAGE);
+      return solveSingleVariableOffline(eq, vars[0]);
+    }
+    const ast = parseMath(math);
+    const vars = [...mathVariables(ast)];
+    if (!vars.length) return solveArithmeticOffline(ast);
+    const poly = vars.length === 1 ? mathPolynomial(ast, vars[0]) : null;
+    if (!poly) throw new Error(OFFLINE_UNSUPPORTED_MESSAGE);
+    const simplified = formatPolynomial(trimPolynomial(poly), vars[0]);
+    return {
+      steps: [
+        offlineStep("Start with the expression.", formatMath(ast)),
+        offlineStep("Expand any products and combine like terms.", simplified),
+      ],
+      final_answer: simplified,
+      difficulty_level: "Easy",
+      tips: ["Like terms have the same variable raised to the same power."],
+    };
+  } catch (err) {
+    if (
+      err.message === OFFLINE_UNSUPPORTED_MESSAGE ||
+      /undefined|zero/.test(err.message)
+    )
+      throw err;
+    throw new Error(OFFLINE_UNSUPPORTED_MESSAGE);
+  }
+}
+
+// --- Topic Classifier ---
+// Scores the input against weighted rules, one per topic/subtopic signal. A rule either
+// matches a regex against the lowercased input (raw and symbol-normalized forms), or
+// checks features computed with the math engine (equation count, variables, degree).
+// Operators that define the problem (d/dx, ∫, lim) outweigh the functions inside them,
+// and on equal scores the earlier rule's subtopic wins.
+
+const MATH_TOPIC_RULES = [
+  // Calculus
+  {
+    topic: "Calculus",
+    subtopic: "Derivatives",
+    weight: 4,
+    pattern:
+      /d\/\(?d[a-z]|\bderivative|\bdifferentiat|\b[a-z]'\s*\(|\btangent line|\brate of change/,
+  },
+  {
+    topic: "Calculus",
+    subtopic: "Integrals",
+    weight: 4,
+    pattern: /∫|\bintegra(l|te|tion)|\bantiderivative|\barea under/,
+  },
+  {
+    topic: "Calculus",
+    subtopic: "Limits",
+    weight: 4,
+    pattern: /\blim\b|\blimit|→|->|\bapproaches/,
+  },
+  {
+    topic: "Calculus",
+    subtopic: "Series",
+    weight: 3,
+    pattern: /∑|\bseries\b|\bconverge|\bdiverge|\btaylor|\bmaclaurin/,
+  },
+  // Trigonometry
+  {
+    topic: "Trigonometry",
+    subtopic: "Identities",
+    weight: 3,
+    when: (f) =>
+      f.trig && /\b(prove|identity|identities|simplify)\b/.test(f.text),
+  },
+  {
+    topic: "Trigonometry",
+    subtopic: "Trigonometric equations",
+    weight: 3,
+    when: (f) => f.trig && f.equations > 0 && f.variables.length > 0,
+  },
+  {
+    topic: "Trigonometry",
+    subtopic: "Trigonometric functions",
+    weight: 3,
+    when: (f) => f.trig,
+  },
+  {
+    topic: "Trigonometry",
+    subtopic: "Trigonometric functions",
+    weight: 1,
+    pattern: /\bradians?\b|\bunit circle/,
+  },
+  // Logarithms and exponentials
+  {
+    topic: "Logarithms and exponentials",
+    subtopic: "Logarithmic equations",
+    weight: 3,
+    pattern: /\blog|\bln\b/,
+  },
+  {
+    topic: "Logarithms and exponentials",
+    subtopic: "Exponential equations",
+    weight: 3,
+    pattern:
+      /(\d|\be)\s*\^\s*\(?\s*-?\d*\s*[a-z]|\bexponential|\bhalf-life|\bcompound interest/,
+  },
+  // Probability
+  {
+    topic: "Probability",
+    subtopic: "Basic probability",
+    weight: 3,
+    pattern:
+      /\bprobabilit|\bchance|\blikely|\bodds\b|\bp\s*\(|\bdice?\b|\bcoins?\b|\bcards?\b|\bat random|\bmarbles?\b/,
+  },
+  {
+    topic: "Probability",
+    subtopic: "Combinatorics",
+    weight: 3,
+    pattern:
+      /\bcombinations?\b|\bpermutations?\b|\bchoose\b|\bhow many ways|\barrange|\bncr\b|\bnpr\b|\d\s*!|\bfactorial/,
+  },
+  // Statistics
+  {
+    topic: "Statistics",
+    subtopic: "Mean, median and mode",
+    weight: 3,
+    pattern: /\bmean\b|\baverage|\bmedian|\bmode\b/,
+  },
+  {
+    topic: "Statistics",
+    subtopic: "Spread and distributions",
+    weight: 3,
+    pattern:
+      /\bstandard deviation|\bvariance|\bquartile|\bz-?score|\bnormal distribution|\bpercentile/,
+  },
+  {
+    topic: "Statistics",
+    subtopic: "Regression and correlation",
+    weight: 3,
+    pattern: /\bregression|\bcorrelation|\bline of best fit|\bscatter ?plot/,
+  },
+  {
+    topic: "Statistics",
+    subtopic: "Mean, median and mode",
+    weight: 1,
+    pattern: /\bdata set|\bdataset|\bsample\b/,
+  },
+  // Geometry
+  {
+    topic: "Geometry",
+    subtopic: "Triangles",
+    weight: 3,
+    pattern:
+      /\btriangle|\bpythag|\bhypotenuse|\bright angle|\bisosceles|\bequilateral/,
+  },
+  {
+    topic: "Geometry",
+    subtopic: "Circles",
+    weight: 3,
+    pattern:
+      /\bcircles?\b|\bradius|\bdiameter|\bcircumference|\bsector\b|\barc length/,
+  },
+  {
+    topic: "Geometry",
+    subtopic: "Volume and surface area",
+    weight: 3,
+    pattern:
+      /\bvolume|\bsurface area|\bcube\b|\bsphere|\bcylinder|\bcone\b|\bprism|\bpyramid/,
+  },
+  {
+    topic: "Geometry",
+    subtopic: "Area and perimeter",
+    weight: 2,
+    pattern:
+      /\barea\b|\bperimeter|\brectangle|\bsquare\b|\btrapezoid|\bparallelogram/,
+  },
+  {
+    topic: "Geometry",
+    subtopic: "Angles and lines",
+    weight: 2,
+    pattern:
+      /\bangles?\b|°|\bdegrees\b|\bparallel|\bperpendicular|\bpolygon|\bsupplementary|\bcomplementary/,
+  },
+  // Matrices
+  {
+    topic: "Matrices",
+    subtopic: "Determinants and inverses",
+    weight: 3,
+    pattern: /\bdeterminant|\bdet\b|\bvmatrix|\binverse of (the |a )?matri/,
+  },
+  {
+    topic: "Matrices",
+    subtopic: "Matrix operations",
+    weight: 3,
+    pattern:
+      /\bmatri(x|ces)|\b[pbv]matrix|\[\s*\[|\btranspose|\bvectors?\b|\beigen/,
+  },
+  // Algebra
+  {
+    topic: "Algebra",
+    subtopic: "Equations",
+    weight: 1,
+    when: (f) => f.equations > 0 && f.variables.length > 0,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Linear equations",
+    weight: 3,
+    when: (f) => f.degree === 1,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Quadratic equations",
+    weight: 3,
+    when: (f) => f.degree === 2,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Quadratic equations",
+    weight: 3,
+    pattern: /\bquadratic|\bdiscriminant|\bcomplet(e|ing) the square/,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Polynomial equations",
+    weight: 3,
+    when: (f) => f.degree >= 3,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Systems of equations",
+    weight: 4,
+    when: (f) => f.equations >= 2,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Systems of equations",
+    weight: 3,
+    pattern: /\bsystems? of\b|\bsimultaneous/,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Inequalities",
+    weight: 3,
+    pattern: /[<>≤≥]|\binequalit/,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Simplifying expressions",
+    weight: 2,
+    when: (f) => f.equations === 0 && f.polynomial && f.variables.length > 0,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Simplifying expressions",
+    weight: 2,
+    pattern: /\bsimplify|\bexpand|\bfactori[sz]e|\bfactor\b/,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Radicals and exponents",
+    weight: 2,
+    pattern: /√|\bsqrt|\bcbrt|\broots?\b|\bexponents?\b|\bradicals?\b/,
+  },
+  {
+    topic: "Algebra",
+    subtopic: "Functions and graphs",
+    weight: 2,
+    pattern:
+      /\b[fgh]\s*\(\s*x\s*\)|\bdomain\b|\brange\b|\bslope\b|\bintercept|\bgraph\b/,
+  },
+  // Arithmetic
+  {
+    topic: "Arithmetic",
+    subtopic: "Percentages",
+    weight: 3,
+    pattern: /%|\bpercent/,
+  },
+  {
+    topic: "Arithmetic",
+    subtopic: "Fractions",
+    weight: 2,
+    when: (f) => f.numeric && /\d\s*\/\s*\(?\d/.test(f.text),
+  },
+  {
+    topic: "Arithmetic",
+    subtopic: "Order of operations",
+    weight: 2,
+    when: (f) => f.numeric && !/\d\s*\/\s*\(?\d/.test(f.text),
+  },
+];
+const MATH_TOPIC_FALLBACK = "General Mathematics";
+// Evidence assigned to "none of the above", so a single weak match is not reported as certain
+const MATH_TOPIC_PRIOR = 1;
+
+// Utility: Features of a problem used by the topic rules
+function mathTopicFeatures(input) {
+  const raw = String(input || "");
+  const plain = /[\\{$]/.test(raw) ? latexToPlain(raw, "text") : raw;
+  const text = `${raw}\n${normalizeMathSymbols(plain)}`.toLowerCase();
+  const features = {
+    text,
+    trig: /\b(a?sin|a?cos|a?tan|sec|csc|cot|arcsin|arccos|arctan)\b/.test(text),
+    equations: (plain.match(/(^|[^<>!=≤≥])=(?!=)/g) || []).length,
+    variables: [],
+    degree: null,
+    polynomial: false,
+    numeric: false,
+  };
+  try {
+    const math = extractMathText(plain);
+    const eq = parseMathEquation(math);
+    const ast = eq
+      ? { type: "bin", op: "-", left: eq.lhs, right: eq.rhs }
+      : parseMath(math);
+    features.variables = [...mathVariables(ast)];
+    features.numeric = !eq && !features.variables.length;
+    if (features.variables.length === 1) {
+      const poly = mathPolynomial(ast, features.variables[0]);
+      if (poly) {
+        features.polynomial = true;
+        if (eq) features.degree = trimPolynomial(poly).length - 1;
+      }
+    }
+  } catch {
+    // Word problems and unsupported notation only get the pattern rules
+  }
+  return features;
+}
+
+// Utility: Rank topics for a problem.
+// Returns { topic, subtopic, confidence, ranked: [{ topic, subtopic, score, confidence }] },
+// where confidence is the topic's share of all matched evidence (0..1).
+function classifyMathTopic(input) {
+  const features = mathTopicFeatures(input);
+  const topics = {};
+  MATH_TOPIC_RULES.forEach((rule) => {
+    const hit = rule.pattern
+      ? rule.pattern.test(features.text)
+      : rule.when(features);
+    if (!hit) return;
+    const entry = (topics[rule.topic] = topics[rule.topic] || {
+      score: 0,
+      subtopics: {},
+    });
+    entry.score += rule.weight;
+    entry.subtopics[rule.subtopic] =
+      (entry.subtopics[rule.subtopic] || 0) + rule.weight;
+  });
+
+  const total =
+    Object.values(topics).reduce((sum, entry) => sum + entry.score, 0) +
+    MATH_TOPIC_PRIOR;
+  const ranked = Object.entries(topics)
+    .map(([topic, entry]) => ({
+      topic,
+      subtopic: Object.entries(entry.subtopics).sort(
+        (a, b) => b[1] - a[1]
+      )[0][0],
+      score: entry.score,
+      confidence: entry.score / total,
+    }))
+    .sort((a, b) => b.score - a.score);
+  if (!ranked.length) {
+    return {
+      topic: MATH_TOPIC_FALLBACK,
+      subtopic: null,
+      confidence: 0,
+      ranked,
+    };
+  }
+  return { ...ranked[0], ranked };
+}
+
+// Utility: Prompt sentence naming the detected topic (omitted when the classifier is unsure)
+function topicPrompt(classification) {
+  if (!classification || classification.confidence < 0.4) return "";
+  const label = classification.subtopic
+    ? `${classification.topic} (${classification.subtopic})`
+    : classification.topic;
+  return `This is a ${label} problem; use the methods normally taught for it. `;
+}
+
+// --- Response Schemas ---
+// The json_schema objects sent with structured requests. Responses are validated against the
+// same objects, so the model and the UI agree on one definition of each shape.
+
+const MATH_SOLUTION_SCHEMA = {
+  name: "math_solution",
+  schema: {
+    type: "object",
+    properties: {
+      steps: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          properties: {
+            explanation: { type: "string" },
+            equation: { type: "string" },
+          },
+          required: ["explanation", "equation"],
+        },
+      },
+      final_answer: { type: "string", minLength: 1 },
+      difficulty_level: { type: "string" },
+      tips: {
+        type: "array",
+        items: { type: "string" },
+      },
+      graph_data: {
+        type: "object",
+        properties: {
+          type: { type: "string" },
+          points: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                x: { type: "number" },
+                y: { type: "number" },
+              },
+              required: ["x", "y"],
+            },
+          },
+        },
+        required: ["type", "points"],
+      },
+    },
+    required: ["steps", "final_answer"],
+  },
+};
+
+const PRACTICE_DIFFICULTIES = ["Easy", "Medium", "Hard"];
+const PRACTICE_PROBLEMS_SCHEMA = {
+  name: "practice_problems",
+  schema: {
+    type: "object",
+    properties: {
+      problems: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            problem: { type: "string" },
+            difficulty: { type: "string", enum: PRACTICE_DIFFICULTIES },
+            solution: { type: "string" },
+            answer: { type: "string", minLength: 1 },
+          },
+          required: ["problem", "difficulty", "solution", "answer"],
+        },
+      },
+    },
+    required: ["problems"],
+  },
+};
+
+const ALTERNATIVE_METHODS_SCHEMA = {
+  name: "alternative_methods",
+  schema: {
+    type: "object",
+    properties: {
+      methods: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            steps: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  explanation: { type: "string" },
+                  equation: { type: "string" },
+                },
+                required: ["explanation", "equation"],
+              },
+            },
+            final_answer: { type: "string" },
+          },
+          required: ["name", "steps", "final_answer"],
+        },
+      },
+    },
+    required: ["methods"],
+  },
+};
+
+const WORKSHEET_PROBLEMS_SCHEMA = {
+  name: "worksheet_problems",
+  schema: {
+    type: "object",
+    properties: {
+      problems: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            number: { type: "string" },
+            text: { type: "string", minLength: 1 },
+            // Where the problem is on the page: [left, top, right, bottom], 0-1
+            box: { type: "array", items: { type: "number" } },
+            // Parts of text the model is unsure it read correctly
+            uncertain: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  text: { type: "string", minLength: 1 },
+                  note: { type: "string" },
+                },
+                required: ["text"],
+              },
+            },
+          },
+          required: ["number", "text"],
+        },
+      },
+    },
+    required: ["problems"],
+  },
+};
+
+// Utility: Validate a value against the JSON Schema subset used above
+// (type, or a list of types; properties, required, items, enum, minItems, minLength).
+// Returns field-level errors as [{ path: "steps[2].equation", message }]; empty when valid.
+function validateSchema(value, schema, path = "") {
+  const where = path || "response";
+  const actual = Array.isArray(value)
+    ? "array"
+    : value === null
+    ? "null"
+    : typeof value;
+  const types = [].concat(schema.type || []);
+  const typeOk =
+    !types.length ||
+    types.includes(actual) ||
+    (types.includes("integer") && Number.isInteger(value));
+  if (!typeOk) {
+    return [
+      {
+        path: where,
+        message: `expected ${types.join(" or ")}, got ${actual}`,
+      },
+    ];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: where,
+      message: `must be one of ${schema.enum.join(", ")}`,
+    });
+  }
+  if (
+    schema.minLength &&
+    actual === "string" &&
+    value.length < schema.minLength
+  ) {
+    errors.push({ path: where, message: "must not be empty" });
+  }
+  if (actual === "object" && schema.properties) {
+    const child = (key) => (path ? `${path}.${key}` : key);
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: child(key), message: "missing required field" });
+      }
+    });
+    Object.entries(schema.properties).forEach(([key, sub]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], sub, child(key)));
+      }
+    });
+  }
+  if (actual === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({
+        path: where,
+        message: `needs at least ${schema.minItems} item(s)`,
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, idx) =>
+        errors.push(...validateSchema(item, schema.items, `${path}[${idx}]`))
+      );
+    }
+  }
+  return errors;
+}
+
+// Utility: One-line summary of validation errors ("steps[0].equation: missing required field; ...")
+function formatSchemaErrors(errors, limit = 3) {
+  const shown = errors
+    .slice(0, limit)
+    .map((err) => `${err.path}: ${err.message}`);
+  if (errors.length > limit) shown.push(`${errors.length - limit} more`);
+  return shown.join("; ");
+}
+
+// Utility: Parse model content (JSON text or an already-parsed object) and validate it
+function checkStructured(content, jsonSchema) {
+  let value = content;
+  if (typeof content === "string") {
+    try {
+      // Some models wrap JSON in a ```json fence despite the schema
+      value = JSON.parse(
+        content.trim().replace(/^```(?:json)?\s*|\s*```$/g, "")
+      );
+    } catch {
+      return {
+        value: null,
+        errors: [{ path: "response", message: "is not valid JSON" }],
+      };
+    }
+  }
+  return { value, errors: validateSchema(value, jsonSchema.schema) };
+}
+
+// --- Learner Model ---
+// Practice results are tracked per topic (from classifyMathTopic) in localStorage as
+//   { [topic]: { rating, attempts, correct, streak, lastPracticed,
+//                byDifficulty: { Easy: { attempts, correct }, ... } } }
+// `rating` is an Elo-style skill estimate: each answer moves it towards the outcome,
+// more so when the result was unexpected for that difficulty. Practice is pitched at the
+// level the learner solves about MASTERY_TARGET of the time.
+
+const MASTERY_KEY = "mathmaster_mastery";
+const MASTERY_LEVELS = { Easy: -1, Medium: 0, Hard: 1 }; // difficulty on the rating scale
+const MASTERY_K = 0.5; // how far one answer moves the rating
+const MASTERY_TARGET = 0.7;
+
+function loadMastery() {
+  try {
+    return JSON.parse(localStorage.getItem(MASTERY_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+function saveMastery(mastery) {
+  try {
+    localStorage.setItem(MASTERY_KEY, JSON.stringify(mastery));
+  } catch {}
+}
+
+// Utility: Chance that a learner with `rating` solves a problem of the given difficulty
+function solveChance(rating, difficulty) {
+  const level = MASTERY_LEVELS[difficulty] ?? MASTERY_LEVELS.Medium;
+  return 1 / (1 + Math.exp(level - rating));
+}
+
+// Utility: Mastery of a topic as 0..1 (the chance of solving a Hard problem)
+function masteryScore(record) {
+  return record ? solveChance(record.rating, "Hard") : 0;
+}
+
+// Utility: Label for a mastery score
+function masteryLabel(score) {
+  if (score >= 0.75) return "Mastered";
+  if (score >= 0.4) return "Practising";
+  return "Learning";
+}
+
+// Utility: Difficulty to practice next: the one closest to MASTERY_TARGET. Without any
+// attempts yet, `fallback` (e.g. the solved problem's difficulty_level) is used if valid.
+function recommendedDifficulty(record, fallback = "") {
+  if (!record?.attempts) {
+    return PRACTICE_DIFFICULTIES.includes(fallback) ? fallback : "";
+  }
+  return PRACTICE_DIFFICULTIES.reduce((best, level) =>
+    Math.abs(solveChance(record.rating, level) - MASTERY_TARGET) <
+    Math.abs(solveChance(record.rating, best) - MASTERY_TARGET)
+      ? level
+      : best
+  );
+}
+
+// Utility: Record one practice answer; returns a new mastery object
+function recordPracticeAttempt(mastery, topic, difficulty, correct) {
+  const level = PRACTICE_DIFFICULTIES.includes(difficulty)
+    ? difficulty
+    : "Medium";
+  const record = mastery[topic] || {
+    rating: 0,
+    attempts: 0,
+    correct: 0,
+    streak: 0,
+    byDifficulty: {},
+  };
+  const expected = solveChance(record.rating, level);
+  const bucket = record.byDifficulty[level] || { attempts: 0, correct: 0 };
+  return {
+    ...mastery,
+    [topic]: {
+      rating: record.rating + MASTERY_K * ((correct ? 1 : 0) - expected),
+      attempts: record.attempts + 1,
+      correct: record.correct + (correct ? 1 : 0),
+      streak: correct ? record.streak + 1 : 0,
+      lastPracticed: Date.now(),
+      byDifficulty: {
+        ...record.byDifficulty,
+        [level]: {
+          attempts: bucket.attempts + 1,
+          correct: bucket.correct + (correct ? 1 : 0),
+        },
+      },
+    },
+  };
+}
+
+// --- Request Layer ---
+// Every AI call goes through fetchWithRetry: one AbortController per attempt (linked to the
+// caller's signal), a timeout, and exponential backoff on 429/5xx and network failures.
+
+const REQUEST_TIMEOUT_OPTIONS = [30, 60, 90, 120, 180]; // seconds, offered in Settings
+const DEFAULT_REQUEST_TIMEOUT = 90;
+const REQUEST_MAX_RETRIES = 3;
+const REQUEST_BACKOFF_MS = 1000;
+const REQUEST_MAX_BACKOFF_MS = 30000;
+
+// Utility: Error describing a failed request;
+// kind is "http" | "timeout" | "network" | "aborted" | "schema"
+function requestError(kind, message, details = {}) {
+  return Object.assign(new Error(message), { kind, ...details });
+}
+
+// Utility: Delay before the next attempt, honoring a Retry-After header (seconds or HTTP date)
+function retryDelay(attempt, retryAfter) {
+  let ms = REQUEST_BACKOFF_MS * 2 ** (attempt - 1) * (1 + Math.random() * 0.25);
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    ms = isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(retryAfter) - Date.now();
+  }
+  return Math.min(Math.max(ms, 0), REQUEST_MAX_BACKOFF_MS);
+}
+
+// Async: Wait for `ms`, rejecting early if the signal aborts
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(requestError("aborted", "Request stopped."));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(requestError("aborted", "Request stopped."));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Async: fetch with cancellation, a per-attempt timeout and retry with exponential backoff.
+// `read(response)` consumes the body inside the attempt, so the timeout also covers streaming;
+// errors while reading are never retried because part of the body may already be on screen.
+async function fetchWithRetry(url, init, options = {}) {
+  const {
+    signal,
+    timeoutMs = DEFAULT_REQUEST_TIMEOUT * 1000,
+    retries = REQUEST_MAX_RETRIES,
+    onRetry,
+    read = (response) => response.json(),
+  } = options;
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw requestError("aborted", "Request stopped.");
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort);
+
+    let failure;
+    let retryAfter = null;
+    let reading = false;
+    try {
+      const response = await fetch(url, {
+        ...init,
+        signal: controller.signal,
+      });
+      if (response.ok) {
+        reading = true;
+        return await read(response);
+      }
+      failure = requestError(
+        "http",
+        `Server responded with status: ${response.status}`,
+        { status: response.status }
+      );
+      retryAfter = response.headers.get("Retry-After");
+    } catch (err) {
+      if (signal?.aborted) throw requestError("aborted", "Request stopped.");
+      if (timedOut) {
+        throw requestError(
+          "timeout",
+          `No response within ${Math.round(timeoutMs / 1000)} seconds.`,
+          { attempts: attempt, seconds: Math.round(timeoutMs / 1000) }
+        );
+      }
+      if (reading) throw err;
+      failure = requestError("network", "Could not reach the AI service.");
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    failure.attempts = attempt;
+    const retryable =
+      failure.kind === "network" ||
+      failure.status === 429 ||
+      failure.status >= 500;
+    if (!retryable || attempt > retries) throw failure;
+    const delay = retryDelay(attempt, retryAfter);
+    if (onRetry) onRetry({ attempt, retries, delay, error: failure });
+    await waitForRetry(delay, signal);
+  }
+}
+
+// Utility: User-facing message for a failed request, including HTTP status and attempts
+function describeRequestError(err, fallback) {
+  const tries =
+    err?.attempts > 1 ? ` Gave up after ${err.attempts} attempts.` : "";
+  switch (err?.kind) {
+    case "http":
+      return `${fallback}: the server responded with HTTP ${err.status}${
+        err.status === 429 ? " (too many requests)" : ""
+      }.${tries}`;
+    case "timeout":
+      return `${fallback}: the AI service did not respond within ${err.seconds} seconds. You can raise the timeout in Settings.`;
+    case "network":
+      return `${fallback}: could not reach the AI service. Check your connection.${tries}`;
+    case "schema":
+      return `${fallback}: the model's answer was malformed even after asking it to fix it (${formatSchemaErrors(
+        err.fieldErrors
+      )}).`;
+    default:
+      return err?.message || fallback;
+  }
+}
+
+// --- Model Providers ---
+// Every model MathMaster Pro can talk to is registered here. A provider declares:
+//   id, label                 - registry key and dropdown text
+//   endpoint                  - URL the request is POSTed to
+//   capabilities              - { streaming, jsonSchema, vision, local }
+//   buildRequest(payload)     - turns { messages, json_schema, stream } into the request body
+//   parseResponse(data)       - pulls the message content out of a non-streaming response
+//   request(payload, options) - optional: replaces fetch entirely (mock or in-browser providers);
+//                               options carry the caller's AbortSignal and timeout. Streaming
+//                               requests (payload.stream) also pass read(response), which the
+//                               provider calls with a Response whose body streams the reply
+//   solve(text)               - local providers only: returns a math_solution object
+const MODEL_PROVIDERS = {};
+const DEFAULT_MODEL_PROVIDER = "gemini";
+
+function registerModelProvider(provider) {
+  MODEL_PROVIDERS[provider.id] = {
+    buildRequest: chatCompletionsRequest,
+    parseResponse: chatCompletionsResponse,
+    ...provider,
+    capabilities: { ...provider.capabilities },
+  };
+}
+
+function getModelProvider(id) {
+  return MODEL_PROVIDERS[id] || MODEL_PROVIDERS[DEFAULT_MODEL_PROVIDER];
+}
+
+// Utility: The preferred provider if it has a capability, otherwise the first one that does
+function findModelProvider(capability, preferredId) {
+  const preferred = MODEL_PROVIDERS[preferredId];
+  if (preferred?.capabilities[capability]) return preferred;
+  return (
+    Object.values(MODEL_PROVIDERS).find((p) => p.capabilities[capability]) ||
+    null
+  );
+}
+
+// Utility: Providers that can solve problems (shown in the model dropdown)
+function selectableModelProviders() {
+  return Object.values(MODEL_PROVIDERS).filter(
+    (p) => p.capabilities.jsonSchema || p.capabilities.local
+  );
+}
+
+// Request/response format shared by the built-in /integrations/* chat endpoints
+function chatCompletionsRequest({ messages, json_schema, stream }) {
+  return {
+    messages,
+    ...(json_schema && { json_schema }),
+    ...(stream && { stream: true }),
+  };
+}
+function chatCompletionsResponse(data) {
+  return data.choices[0].message.content;
+}
+
+registerModelProvider({
+  id: "gemini",
+  label: "Gemini 1.5",
+  endpoint: "/integrations/google-gemini-1-5/",
+  capabilities: { streaming: true, jsonSchema: true },
+});
+registerModelProvider({
+  id: "gpt",
+  label: "GPT-4",
+  endpoint: "/integrations/chat-gpt/conversationgpt4",
+  capabilities: { streaming: true, jsonSchema: true },
+});
+registerModelProvider({
+  id: "gpt-vision",
+  label: "GPT Vision",
+  endpoint: "/integrations/gpt-vision/",
+  capabilities: { vision: true },
+});
+registerModelProvider({
+  id: "offline",
+  label: "Offline (local)",
+  capabilities: { local: true },
+  solve: solveOffline,
+});
+
+// Async: Send a non-streaming request through a provider and return the message content
+// (structured replies may be JSON text; see requestStructured).
+// `options` are fetchWithRetry options (signal, timeoutMs, onRetry).
+async function requestModel(provider, payload, options = {}) {
+  if (provider.request) return provider.request(payload, options);
+  const data = await fetchWithRetry(
+    provider.endpoint,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(provider.buildRequest(payload)),
+    },
+    options
+  );
+  return provider.parseResponse(data);
+}
+
+// Async: Send a streaming request through a provider. `options.read(response)` consumes
+// the streamed reply, exactly as with fetchWithRetry.
+async function streamModel(provider, payload, options) {
+  const streamPayload = { ...payload, stream: true };
+  if (provider.request) return provider.request(streamPayload, options);
+  return fetchWithRetry(
+    provider.endpoint,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(provider.buildRequest(streamPayload)),
+    },
+    options
+  );
+}
+
+// Async: Validate structured content against payload.json_schema. When it does not match,
+// the model gets one follow-up request with the field errors and its own output to fix.
+// `options.onRepair(errors)` is called before that request; a second failure throws a
+// "schema" request error carrying the field errors.
+async function ensureSchema(provider, payload, content, options = {}) {
+  const first = checkStructured(content, payload.json_schema);
+  if (!first.errors.length) return first.value;
+  if (options.onRepair) options.onRepair(first.errors);
+  const repaired = await requestModel(
+    provider,
+    {
+      ...payload,
+      messages: [
+        ...payload.messages,
+        {
+          role: "assistant",
+          content:
+            typeof content === "string" ? content : JSON.stringify(content),
+        },
+        {
+          role: "user",
+          content: `Your previous reply does not match the "${
+            payload.json_schema.name
+          }" JSON schema: ${formatSchemaErrors(
+            first.errors,
+            10
+          )}. Reply with the complete corrected JSON only.`,
+        },
+      ],
+    },
+    options
+  );
+  const second = checkStructured(repaired, payload.json_schema);
+  if (!second.errors.length) return second.value;
+  throw requestError("schema", "The model returned malformed data.", {
+    fieldErrors: second.errors,
+  });
+}
+
+// Async: requestModel + ensureSchema for payloads that carry a json_schema
+async function requestStructured(provider, payload, options = {}) {
+  const content = await requestModel(provider, payload, options);
+  return ensureSchema(provider, payload, content, options);
+}
+
+// Utility: Parse the JSON received so far from a streamed response.
+// Open objects and arrays are returned with their finished members only: an array item
+// appears once it is closed, an object key once its value is. Scalars still being written
+// are left out, so a half-streamed string never reaches the UI. Returns null before the first "{".
+function parsePartialJSON(text) {
+  const src = String(text || "");
+  let i = src.search(/[[{]/);
+  if (i === -1) return null;
+  const skipWs = () => {
+    while (i < src.length && /\s/.test(src[i])) i++;
+  };
+
+  // Each parser returns { value, done }; done is false when the input ran out mid-value
+  function parseString() {
+    const start = i++;
+    while (i < src.length) {
+      if (src[i] === "\\") i += 2;
+      else if (src[i++] === '"') {
+        return { value: JSON.parse(src.slice(start, i)), done: true };
+      }
+    }
+    return { value: undefined, done: false };
+  }
+
+  function parseScalar() {
+    const m = src
+      .slice(i)
+      .match(/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/);
+    if (!m) return { value: undefined, done: false };
+    i += m[0].length;
+    // A number at the very end of the input may still be growing
+    return { value: JSON.parse(m[0]), done: i < src.length };
+  }
+
+  function parseContainer(isArray) {
+    const value = isArray ? [] : {};
+    i++;
+    for (;;) {
+      skipWs();
+      if (i >= src.length) return { value, done: false };
+      if (src[i] === (isArray ? "]" : "}")) {
+        i++;
+        return { value, done: true };
+      }
+      if (src[i] === ",") {
+        i++;
+        continue;
+      }
+      let key;
+      if (!isArray) {
+        const k = src[i] === '"' ? parseString() : { done: false };
+        skipWs();
+        if (!k.done || src[i] !== ":") return { value, done: false };
+        key = k.value;
+        i++;
+        skipWs();
+      }
+      const item = parseValue();
+      if (isArray) {
+        if (item.done) value.push(item.value);
+      } else if (item.done || (item.value && typeof item.value === "object")) {
+        value[key] = item.value;
+      }
+      if (!item.done) return { value, done: false };
+    }
+  }
+
+  function parseValue() {
+    if (i >= src.length) return { value: undefined, done: false };
+    if (src[i] === "{") return parseContainer(false);
+    if (src[i] === "[") return parseContainer(true);
+    if (src[i] === '"') return parseString();
+    return parseScalar();
+  }
+
+  return parseValue().value;
+}
+
+// --- Math Rendering (LaTeX -> MathML / plain text) ---
+// Model output is parsed into a small layout tree:
+//   { k: "num" | "id" | "op" | "text", v } | { k: "row", items } | { k: "space" }
+//   { k: "frac", num, den } | { k: "sqrt", body, index } | { k: "bigop", v }
+//   { k: "scripts", base, sub, sup } | { k: "fence", open, close, body }
+//   { k: "matrix", rows, open, close } | { k: "accent", body, accent }
+// which renders either as MathML elements or as a plain-text fallback for copying.
+
+const LATEX_SYMBOLS = {
+  alpha: "α",
+  beta: "β",
+  gamma: "γ",
+  delta: "δ",
+  epsilon: "ε",
+  varepsilon: "ε",
+  zeta: "ζ",
+  eta: "η",
+  theta: "θ",
+  vartheta: "ϑ",
+  iota: "ι",
+  kappa: "κ",
+  lambda: "λ",
+  mu: "μ",
+  nu: "ν",
+  xi: "ξ",
+  pi: "π",
+  rho: "ρ",
+  sigma: "σ",
+  tau: "τ",
+  upsilon: "υ",
+  phi: "φ",
+  varphi: "φ",
+  chi: "χ",
+  psi: "ψ",
+  omega: "ω",
+  Gamma: "Γ",
+  Delta: "Δ",
+  Theta: "Θ",
+  Lambda: "Λ",
+  Xi: "Ξ",
+  Pi: "Π",
+  Sigma: "Σ",
+  Phi: "Φ",
+  Psi: "Ψ",
+  Omega: "Ω",
+  infty: "∞",
+  partial: "∂",
+  nabla: "∇",
+  ell: "ℓ",
+  emptyset: "∅",
+  varnothing: "∅",
+  degree: "°",
+};
+const LATEX_OPERATORS = {
+  cdot: "·",
+  times: "×",
+  div: "÷",
+  pm: "±",
+  mp: "∓",
+  le: "≤",
+  leq: "≤",
+  ge: "≥",
+  geq: "≥",
+  neq: "≠",
+  ne: "≠",
+  approx: "≈",
+  equiv: "≡",
+  sim: "∼",
+  propto: "∝",
+  to: "→",
+  rightarrow: "→",
+  leftarrow: "←",
+  Rightarrow: "⇒",
+  implies: "⇒",
+  Leftrightarrow: "⇔",
+  iff: "⇔",
+  mapsto: "↦",
+  in: "∈",
+  notin: "∉",
+  subset: "⊂",
+  subseteq: "⊆",
+  cup: "∪",
+  cap: "∩",
+  forall: "∀",
+  exists: "∃",
+  therefore: "∴",
+  because: "∵",
+  circ: "∘",
+  angle: "∠",
+  perp: "⊥",
+  parallel: "∥",
+  cdots: "⋯",
+  ldots: "…",
+  dots: "…",
+  vdots: "⋮",
+  prime: "′",
+  langle: "⟨",
+  rangle: "⟩",
+  lfloor: "⌊",
+  rfloor: "⌋",
+  lceil: "⌈",
+  rceil: "⌉",
+  vert: "|",
+  mid: "|",
+  "{": "{",
+  "}": "}",
+  "%": "%",
+  $: "$",
+  "#": "#",
+  "&": "&",
+  _: "_",
+  "|": "‖",
+};
+const LATEX_BIG_OPERATORS = {
+  int: "∫",
+  iint: "∬",
+  iiint: "∭",
+  oint: "∮",
+  sum: "∑",
+  prod: "∏",
+  bigcup: "⋃",
+  bigcap: "⋂",
+};
+const LATEX_FUNCTIONS = [
+  "sin",
+  "cos",
+  "tan",
+  "sec",
+  "csc",
+  "cot",
+  "arcsin",
+  "arccos",
+  "arctan",
+  "sinh",
+  "cosh",
+  "tanh",
+  "log",
+  "ln",
+  "exp",
+  "lim",
+  "det",
+  "max",
+  "min",
+  "gcd",
+  "lcm",
+  "mod",
+  "sqrt",
+  "abs",
+  "asin",
+  "acos",
+  "atan",
+  "cbrt",
+];
+const LATEX_ACCENTS = {
+  vec: "→",
+  hat: "^",
+  bar: "¯",
+  overline: "¯",
+  tilde: "~",
+  dot: "˙",
+};
+// Words that are treated as prose (mtext) rather than a product of variables
+const MATH_PROSE_WORDS = [
+  "or",
+  "and",
+  "if",
+  "is",
+  "of",
+  "no",
+  "as",
+  "at",
+  "to",
+  "in",
+  "on",
+  "so",
+];
+
+// Utility: Split a string into LaTeX-aware tokens
+function tokenizeLatex(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const rest = src.slice(i);
+    const ch = src[i];
+    let m;
+    if (ch === "\\") {
+      m = rest.match(/^\\([a-zA-Z]+|.)/s);
+      tokens.push({ t: "cmd", v: m ? m[1] : "" });
+      i += m ? m[0].length : 1;
+    } else if (/\s/.test(ch)) {
+      m = rest.match(/^\s+/);
+      tokens.push({ t: "ws" });
+      i += m[0].length;
+    } else if ((m = rest.match(/^\d+(?:\.\d+)?/))) {
+      tokens.push({ t: "num", v: m[0] });
+      i += m[0].length;
+    } else if ((m = rest.match(/^[a-zA-Z]+/))) {
+      const word = m[0];
+      const lower = word.toLowerCase();
+      if (LATEX_FUNCTIONS.includes(lower)) {
+        tokens.push({ t: "fn", v: word });
+      } else if (word.length >= 3 || MATH_PROSE_WORDS.includes(lower)) {
+        // Prose inside math ("x = 2 or x = 3", "No real solution")
+        tokens.push({ t: "prose", v: word });
+      } else {
+        word
+          .split("")
+          .forEach((letter) => tokens.push({ t: "letter", v: letter }));
+      }
+      i += word.length;
+    } else {
+      tokens.push({ t: "ch", v: ch });
+      i += 1;
+    }
+  }
+  return tokens;
+}
+
+// Utility: Parse LaTeX (or plain math like "x^2 + √16") into a layout tree
+function parseLatex(src) {
+  const tokens = tokenizeLatex(String(src || ""));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isCh = (tok, v) => tok && tok.t === "ch" && tok.v === v;
+  const isCmd = (tok, v) => tok && tok.t === "cmd" && tok.v === v;
+  const skipWs = () => {
+    while (peek()?.t === "ws") pos++;
+  };
+  const row = (items) => (items.length === 1 ? items[0] : { k: "row", items });
+
+  // Raw text of a {...} group, used by \text and \begin
+  function readRawGroup() {
+    skipWs();
+    if (!isCh(peek(), "{")) return "";
+    pos++;
+    let depth = 1;
+    let out = "";
+    while (pos < tokens.length) {
+      const tok = tokens[pos++];
+      if (isCh(tok, "{")) depth++;
+      if (isCh(tok, "}") && --depth === 0) break;
+      out +=
+        tok.t === "ws"
+          ? " "
+          : tok.t === "cmd"
+          ? LATEX_OPERATORS[tok.v] || tok.v
+          : tok.v;
+    }
+    return out;
+  }
+
+  function parseRow(stop) {
+    const items = [];
+    while (pos < tokens.length && !stop(peek())) {
+      const atom = parseScripted();
+      if (atom) items.push(atom);
+    }
+    return row(items);
+  }
+
+  function parseArg() {
+    skipWs();
+    const tok = peek();
+    if (!tok) return { k: "row", items: [] };
+    if (isCh(tok, "{")) {
+      pos++;
+      const body = parseRow((t) => isCh(t, "}"));
+      pos++;
+      return body;
+    }
+    // \frac12 takes single digits
+    if (tok.t === "num" && tok.v.length > 1) {
+      tokens[pos] = { t: "num", v: tok.v.slice(1) };
+      return { k: "num", v: tok.v[0] };
+    }
+    return parseAtom() || { k: "row", items: [] };
+  }
+
+  function parseScripted() {
+    let base = parseAtom();
+    if (!base) return null;
+    let sub = null;
+    let sup = null;
+    for (;;) {
+      const save = pos;
+      skipWs();
+      const tok = peek();
+      if (isCh(tok, "^") && !sup) {
+        pos++;
+        sup = parseArg();
+      } else if (isCh(tok, "_") && !sub) {
+        pos++;
+        sub = parseArg();
+      } else if (isCh(tok, "'") && !sup) {
+        pos++;
+        sup = { k: "op", v: "′" };
+      } else if (tok?.t === "ch" && "²³".includes(tok.v) && !sup) {
+        pos++;
+        sup = { k: "num", v: tok.v === "²" ? "2" : "3" };
+      } else {
+        pos = save;
+        break;
+      }
+    }
+    return sub || sup ? { k: "scripts", base, sub, sup } : base;
+  }
+
+  function parseDelimiter() {
+    skipWs();
+    const tok = tokens[pos++];
+    if (!tok) return "";
+    if (tok.t === "cmd")
+      return LATEX_OPERATORS[tok.v] || (tok.v === "." ? "" : tok.v);
+    return tok.v === "." ? "" : tok.v;
+  }
+
+  function parseAtom() {
+    const tok = tokens[pos++];
+    if (!tok || tok.t === "ws") return null;
+    if (tok.t === "num") return { k: "num", v: tok.v };
+    if (tok.t === "letter") return { k: "id", v: tok.v };
+    if (tok.t === "fn") return { k: "id", v: tok.v, normal: true };
+    if (tok.t === "prose") {
+      // Merge consecutive prose words into one text run
+      let text = tok.v;
+      while (peek()?.t === "ws" && tokens[pos + 1]?.t === "prose") {
+        text += ` ${tokens[pos + 1].v}`;
+        pos += 2;
+      }
+      return { k: "text", v: text };
+    }
+    if (tok.t === "ch") {
+      if (tok.v === "{") {
+        const body = parseRow((t) => isCh(t, "}"));
+        pos++;
+        return body;
+      }
+      if (tok.v === "√" || tok.v === "∛") {
+        skipWs();
+        let body;
+        if (isCh(peek(), "(")) {
+          pos++;
+          body = parseRow((t) => isCh(t, ")"));
+          pos++;
+        } else {
+          body = parseArg();
+        }
+        return {
+          k: "sqrt",
+          body,
+          index: tok.v === "∛" ? { k: "num", v: "3" } : null,
+        };
+      }
+      if (tok.v === "}") return null;
+      if (tok.v === "-") return { k: "op", v: "−" };
+      if (tok.v === "*") return { k: "op", v: "·" };
+      if (/[α-ωΑ-Ω∞π]/.test(tok.v)) return { k: "id", v: tok.v };
+      if ("∫∑∏".includes(tok.v)) return { k: "bigop", v: tok.v };
+      if (tok.v === "$") return null;
+      return { k: "op", v: tok.v };
+    }
+
+    const name = tok.v;
+    if (
+      name === "frac" ||
+      name === "dfrac" ||
+      name === "tfrac" ||
+      name === "cfrac"
+    ) {
+      return { k: "frac", num: parseArg(), den: parseArg() };
+    }
+    if (name === "binom") {
+      const top = parseArg();
+      const bottom = parseArg();
+      return {
+        k: "fence",
+        open: "(",
+        close: ")",
+        body: { k: "frac", num: top, den: bottom, noLine: true },
+      };
+    }
+    if (name === "sqrt") {
+      skipWs();
+      let index = null;
+      if (isCh(peek(), "[")) {
+        pos++;
+        index = parseRow((t) => isCh(t, "]"));
+        pos++;
+      }
+      return { k: "sqrt", body: parseArg(), index };
+    }
+    if (name === "left") {
+      const open = parseDelimiter();
+      const body = parseRow((t) => isCmd(t, "right"));
+      pos++;
+      return { k: "fence", open, close: parseDelimiter(), body };
+    }
+    if (name === "right") return null;
+    if (name === "begin") {
+      const env = readRawGroup();
+      if (env === "array") readRawGroup();
+      const rows = [];
+      let cells = [];
+      for (;;) {
+        const cell = parseRow(
+          (t) => !t || isCh(t, "&") || isCmd(t, "\\") || isCmd(t, "end")
+        );
+        cells.push(cell);
+        const sep = tokens[pos++];
+        if (!sep || isCmd(sep, "end")) break;
+        if (isCmd(sep, "\\")) {
+          rows.push(cells);
+          cells = [];
+        }
+      }
+      readRawGroup();
+      const hasContent = cells.some((c) => c.k !== "row" || c.items.length);
+      if (hasContent) rows.push(cells);
+      const fences = {
+        pmatrix: ["(", ")"],
+        bmatrix: ["[", "]"],
+        Bmatrix: ["{", "}"],
+        vmatrix: ["|", "|"],
+        Vmatrix: ["‖", "‖"],
+        cases: ["{", ""],
+      };
+      const [open, close] = fences[env] || ["", ""];
+      return { k: "matrix", rows, open, close, cases: env === "cases" };
+    }
+    if (
+      [
+        "text",
+        "textrm",
+        "textit",
+        "textbf",
+        "mbox",
+        "mathrm",
+        "operatorname",
+      ].includes(name)
+    ) {
+      const text = readRawGroup();
+      return name === "mathrm" || name === "operatorname"
+        ? { k: "id", v: text, normal: true }
+        : { k: "text", v: text };
+    }
+    if (
+      [
+        "mathbf",
+        "boldsymbol",
+        "mathit",
+        "mathcal",
+        "displaystyle",
+        "textstyle",
+      ].includes(name)
+    ) {
+      return name.endsWith("style") ? null : parseArg();
+    }
+    if (name === "mathbb") {
+      const letter = readRawGroup();
+      return {
+        k: "id",
+        v: { R: "ℝ", N: "ℕ", Z: "ℤ", Q: "ℚ", C: "ℂ" }[letter] || letter,
+      };
+    }
+    if (LATEX_ACCENTS[name])
+      return { k: "accent", body: parseArg(), accent: LATEX_ACCENTS[name] };
+    if (LATEX_BIG_OPERATORS[name])
+      return { k: "bigop", v: LATEX_BIG_OPERATORS[name] };
+    if (LATEX_FUNCTIONS.includes(name))
+      return { k: "id", v: name, normal: true };
+    if (LATEX_SYMBOLS[name]) return { k: "id", v: LATEX_SYMBOLS[name] };
+    if (LATEX_OPERATORS[name]) return { k: "op", v: LATEX_OPERATORS[name] };
+    if ([",", ";", ":", "!", " ", "quad", "qquad", "\\"].includes(name))
+      return { k: "space" };
+    if (name === "(" || name === ")" || name === "[" || name === "]")
+      return null;
+    return { k: "text", v: name };
+  }
+
+  return parseRow(() => false);
+}
+
+// Utility: Plain-text form of a layout tree ("(x + 1)/2", "√(x)", "x^(n+1)")
+function layoutToPlain(node) {
+  if (!node) return "";
+  const simple = (s) => /^(\d+(\.\d+)?|[a-zA-Zα-ωΑ-Ω∞π]′?)$/.test(s);
+  const wrap = (s) => (simple(s) ? s : `(${s})`);
+  switch (node.k) {
+    case "num":
+    case "id":
+    case "op":
+      return node.v;
+    case "text":
+      return ` ${node.v} `;
+    case "space":
+      return " ";
+    case "row": {
+      let out = "";
+      node.items.forEach((item, idx) => {
+        const text = layoutToPlain(item);
+        const prev = node.items[idx - 1];
+        const next = node.items[idx + 1];
+        const unary =
+          "+−±∓".includes(item.v) &&
+          (!prev || (prev.k === "op" && !")]}|!′".includes(prev.v)));
+        const spaced =
+          item.k === "op" && "=<>≤≥≠≈±∓+−→⇒⇔∈".includes(item.v) && !unary;
+        // "sin x", "∫_0^1 x dx": keep operator names apart from their argument
+        const named =
+          (item.k === "id" && item.normal) ||
+          item.k === "bigop" ||
+          (item.k === "scripts" &&
+            (item.base.k === "bigop" || item.base.normal));
+        const opensGroup = next && (next.k === "fence" || next.v === "(");
+        if (spaced) out += ` ${text} `;
+        else if (item.k === "op" && ",;".includes(item.v)) out += `${text} `;
+        else if (named && next && !opensGroup) out += `${text} `;
+        else out += text;
+      });
+      return out.replace(/\s+/g, " ").trim();
+    }
+    case "frac":
+      return `${wrap(layoutToPlain(node.num))}/${wrap(
+        layoutToPlain(node.den)
+      )}`;
+    case "sqrt": {
+      const body = wrap(layoutToPlain(node.body));
+      const index = node.index && layoutToPlain(node.index);
+      if (!index) return `√${body}`;
+      return index === "3" ? `∛${body}` : `${body}^(1/${index})`;
+    }
+    case "scripts": {
+      let out = layoutToPlain(node.base);
+      if (node.sub) out += `_${wrap(layoutToPlain(node.sub))}`;
+      if (node.sup)
+        out += node.sup.v === "′" ? "′" : `^${wrap(layoutToPlain(node.sup))}`;
+      return out;
+    }
+    case "bigop":
+      return node.v;
+    case "fence":
+      return `${node.open}${layoutToPlain(node.body)}${node.close}`;
+    case "matrix":
+      if (node.cases)
+        return node.rows.map((r) => r.map(layoutToPlain).join(" ")).join("; ");
+      return `[${node.rows
+        .map((r) => `[${r.map(layoutToPlain).join(", ")}]`)
+        .join(", ")}]`;
+    case "accent":
+      return `${layoutToPlain(node.body)}${
+        node.accent === "→" ? "⃗" : node.accent === "¯" ? "̄" : "̂"
+      }`;
+    default:
+      return "";
+  }
+}
+
+// Utility: Split text into prose and math segments ($...$, $$...$$, \(...\), \[...\]).
+// Like TeX-aware Markdown, $...$ needs no space just inside either $ and no digit right
+// after the closing one, so prices ("$5 and $10") stay prose.
+function splitMathSegments(text) {
+  const segments = [];
+  const pattern =
+    /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$(?!\s)([^$]+?)(?<!\s)\$(?!\d)/g;
+  let last = 0;
+  let m;
+  while ((m = pattern.exec(text))) {
+    if (m.index > last)
+      segments.push({ math: false, text: text.slice(last, m.index) });
+    const display = m[1] !== undefined || m[2] !== undefined;
+    segments.push({ math: true, display, text: m[1] ?? m[2] ?? m[3] ?? m[4] });
+    last = pattern.lastIndex;
+  }
+  if (last < text.length)
+    segments.push({ math: false, text: text.slice(last) });
+  return segments;
+}
+
+// Utility: Readable plain text for anything the model returns (replaces LaTeX markup)
+function latexToPlain(str, mode = "math") {
+  if (!str) return "";
+  const text = String(str);
+  const hasDelimiters = /\$|\\\(|\\\[/.test(text);
+  if (mode === "math" && !hasDelimiters) return layoutToPlain(parseLatex(text));
+  return splitMathSegments(text)
+    .map((seg) =>
+      seg.math || /\\[a-zA-Z]/.test(seg.text)
+        ? layoutToPlain(parseLatex(seg.text))
+        : seg.text
+    )
+    .join("");
+}
+
+// --- Local History (IndexedDB) ---
+// Every solved problem is kept in the browser as
+//   { id, input, solution, topic, subtopic, model, createdAt }
+// There is no size limit; the whole list is loaded on mount and filtered in memory.
+// The same database holds the offline copy of the saved-solutions library (see Sync below).
+
+const HISTORY_DB_NAME = "mathmaster";
+const HISTORY_DB_VERSION = 2;
+const HISTORY_STORE = "history";
+const SAVED_STORE = "saved"; // last copy of the library received from the server
+const OUTBOX_STORE = "outbox"; // library changes the server has not confirmed yet
+let historyDBPromise = null;
+
+// Utility: Promise for an IndexedDB request
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Async: Open (and on first use create or upgrade) the local database
+function openHistoryDB() {
+  if (!historyDBPromise) {
+    historyDBPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(HISTORY_STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          store.createIndex("createdAt", "createdAt");
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(SAVED_STORE, { keyPath: "id" });
+          db.createObjectStore(OUTBOX_STORE, {
+            keyPath: "seq",
+            autoIncrement: true,
+          });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed (e.g. private browsing)
+    historyDBPromise.catch(() => {
+      historyDBPromise = null;
+    });
+  }
+  return historyDBPromise;
+}
+
+// Async: Run `fn(store)` in a transaction on one object store
+async function withStore(name, mode, fn) {
+  const db = await openHistoryDB();
+  return fn(db.transaction(name, mode).objectStore(name));
+}
+function withHistoryStore(mode, fn) {
+  return withStore(HISTORY_STORE, mode, fn);
+}
+
+// Async: Load all history entries, newest first
+async function loadHistoryEntries() {
+  const entries = await withHistoryStore("readonly", (store) =>
+    idbRequest(store.getAll())
+  );
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Async: Store a history entry and return it with its new id
+async function addHistoryEntry(entry) {
+  const id = await withHistoryStore("readwrite", (store) =>
+    idbRequest(store.add(entry))
+  );
+  return { ...entry, id };
+}
+
+// Async: Delete one history entry
+function deleteHistoryEntry(id) {
+  return withHistoryStore("readwrite", (store) => idbRequest(store.delete(id)));
+}
+
+// Async: Delete every history entry
+function clearHistoryEntries() {
+  return withHistoryStore("readwrite", (store) => idbRequest(store.clear()));
+}
+
+// Utility: Filter history by free text (all words must appear in the input or answer),
+// topic, model and an inclusive date range ("YYYY-MM-DD" strings, local time)
+function filterHistory(
+  entries,
+  { query = "", topic = "", model = "", from = "", to = "" }
+) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  return entries.filter((entry) => {
+    if (topic && entry.topic !== topic) return false;
+    if (model && entry.model !== model) return false;
+    if (entry.createdAt < start || entry.createdAt > end) return false;
+    if (!words.length) return true;
+    const answer = entry.solution?.final_answer || "";
+    const haystack = [
+      entry.input,
+      latexToPlain(entry.input, "text"),
+      answer,
+      latexToPlain(answer),
+    ]
+      .join("\n")
+      .toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+}
+
+// --- Saved Solutions (server library) ---
+// /api/math-solutions takes a POST whose JSON body `method` selects the operation:
+//   GET     list saved solutions; ?id= narrows it to one (used to open shared links)
+//   POST    create { equation, solution, notes, topic, tags, folder, created_at, updated_at }
+//   PATCH   update { id, is_favorite?, notes?, tags?, folder?, updated_at }
+//   DELETE  remove { ids: [...] }
+// The whole library is loaded (it doubles as the offline copy), then searched, filtered
+// and sorted in the browser, like the history.
+
+const SAVED_SORT_OPTIONS = [
+  { id: "newest", label: "Newest first" },
+  { id: "oldest", label: "Oldest first" },
+  { id: "topic", label: "Topic" },
+  { id: "favorites", label: "Favorites first" },
+];
+
+// Async: Call the saved-solutions API; resolves with the JSON reply (null when empty).
+// Fails with a requestError of kind "network" or "http".
+async function savedSolutionsRequest(body, query) {
+  const params = new URLSearchParams(query || {}).toString();
+  let response;
+  try {
+    response = await fetch(`/api/math-solutions${params ? `?${params}` : ""}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw requestError("network", "Could not reach the server.");
+  }
+  if (!response.ok) {
+    throw requestError(
+      "http",
+      `Saved solutions request failed (HTTP ${response.status})`,
+      { status: response.status }
+    );
+  }
+  return response.json().catch(() => null);
+}
+
+// Utility: Parse a comma-separated tag list (trimmed, duplicates dropped ignoring case)
+function parseTags(text) {
+  const seen = new Set();
+  return String(text || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Utility: Topic of a saved solution (solutions saved before topics were stored are classified now)
+function savedSolutionTopic(item) {
+  return item.topic || classifyMathTopic(item.equation || "").topic;
+}
+
+// Utility: Search, filter and sort the saved-solutions library
+function filterSavedSolutions(
+  items,
+  { query = "", tag = "", folder = "", favoritesOnly = false, sort = "newest" }
+) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const time = (item) => new Date(item.created_at).getTime() || 0;
+  const filtered = items.filter((item) => {
+    if (favoritesOnly && !item.is_favorite) return false;
+    if (tag && !(item.tags || []).includes(tag)) return false;
+    if (folder && (item.folder || "") !== folder) return false;
+    if (!words.length) return true;
+    const answer = item.solution?.final_answer || "";
+    const haystack = [
+      item.equation,
+      latexToPlain(item.equation || "", "text"),
+      answer,
+      latexToPlain(answer),
+      item.notes,
+      item.folder,
+      ...(item.tags || []),
+    ]
+      .join("\n")
+      .toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+  const compare = {
+    newest: (a, b) => time(b) - time(a),
+    oldest: (a, b) => time(a) - time(b),
+    topic: (a, b) =>
+      savedSolutionTopic(a).localeCompare(savedSolutionTopic(b)) ||
+      time(b) - time(a),
+    favorites: (a, b) =>
+      Number(!!b.is_favorite) - Number(!!a.is_favorite) || time(b) - time(a),
+  };
+  return filtered.sort(compare[sort] || compare.newest);
+}
+
+// --- Saved Solutions Sync (offline queue) ---
+// Library changes are applied to the screen at once and queued in the outbox store as
+//   { seq, type: "create", item }
+//   | { seq, type: "update", id, fields, updatedAt, baseUpdatedAt }
+//   | { seq, type: "delete", ids }
+// The queue is replayed in order whenever we are online. What the user sees is always
+// the last server copy with the queued changes applied on top (applySavedMutations).
+// An update remembers the server's updated_at for the item when it was queued
+// (baseUpdatedAt) and is dropped as a conflict when the server copy has changed since
+// (e.g. on another device). Server times are only compared with server times, so a
+// device clock that is behind never makes an edit look stale.
+
+const NOTES_DEBOUNCE_MS = 800;
+const SYNC_RETRY_MS = 30000;
+
+// Utility: Temporary id for a solution saved before the server has assigned one
+function localSavedId() {
+  return `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+function isLocalSavedId(id) {
+  return String(id).startsWith("local-");
+}
+
+// Utility: Apply queued mutations to a list of saved solutions; touched items are marked `pending`
+function applySavedMutations(items, mutations) {
+  let result = items;
+  mutations.forEach((mutation) => {
+    if (mutation.type === "create") {
+      result = [{ ...mutation.item, pending: true }, ...result];
+    } else if (mutation.type === "update") {
+      result = result.map((item) =>
+        item.id === mutation.id
+          ? {
+              ...item,
+              ...mutation.fields,
+              updated_at: new Date(mutation.updatedAt).toISOString(),
+              pending: true,
+            }
+          : item
+      );
+    } else if (mutation.type === "delete") {
+      result = result.filter((item) => !mutation.ids.includes(item.id));
+    }
+  });
+  return result;
+}
+
+// Async: Last server copy of the library
+function loadSavedSnapshot() {
+  return withStore(SAVED_STORE, "readonly", (store) =>
+    idbRequest(store.getAll())
+  );
+}
+
+// Async: Replace the server copy of the library
+function storeSavedSnapshot(items) {
+  return withStore(SAVED_STORE, "readwrite", (store) => {
+    store.clear();
+    items.forEach((item) => store.put(item));
+    return idbRequest(store.count());
+  });
+}
+
+// Async: Queued mutations, oldest first
+function loadOutbox() {
+  return withStore(OUTBOX_STORE, "readonly", (store) =>
+    idbRequest(store.getAll())
+  );
+}
+
+// Offline creates sent to the server this session, by temporary id, so a change made
+// while the create was in flight can still find the server copy
+const sentSavedCreates = new Map();
+
+// Async: Server id of a solution whose offline create has been sent: the id from the
+// server's reply, else the server copy with the same problem and creation time.
+// Unknown ids are returned unchanged.
+async function resolveSentSavedId(id) {
+  const sent = sentSavedCreates.get(id);
+  if (!sent) return id;
+  if (sent.serverId) return sent.serverId;
+  const snapshot = await loadSavedSnapshot();
+  const match = snapshot.find(
+    (item) =>
+      item.equation === sent.equation && item.created_at === sent.created_at
+  );
+  return match ? match.id : id;
+}
+
+// Async: Queue a mutation. Changes to a solution that was saved offline are folded into its
+// pending "create", so temporary ids never reach the server; temporary ids of creates that
+// have already been sent are swapped for the server id. Updates record the server copy's
+// updated_at as baseUpdatedAt.
+async function queueSavedMutation(mutation) {
+  const outbox = await loadOutbox();
+  const creates = outbox.filter((entry) => entry.type === "create");
+  const queuedIds = new Set(creates.map((entry) => entry.item.id));
+  const resolve = (id) =>
+    isLocalSavedId(id) && !queuedIds.has(id) ? resolveSentSavedId(id) : id;
+  if (mutation.type === "update") {
+    const id = await resolve(mutation.id);
+    const snapshot = isLocalSavedId(id) ? [] : await loadSavedSnapshot();
+    const base = snapshot.find((item) => item.id === id)?.updated_at;
+    mutation = { ...mutation, id, baseUpdatedAt: base ?? null };
+  } else if (mutation.type === "delete") {
+    mutation = {
+      ...mutation,
+      ids: await Promise.all(mutation.ids.map(resolve)),
+    };
+  }
+  await withStore(OUTBOX_STORE, "readwrite", (store) => {
+    if (mutation.type === "update" && isLocalSavedId(mutation.id)) {
+      const entry = creates.find((other) => other.item.id === mutation.id);
+      if (entry) {
+        entry.item = {
+          ...entry.item,
+          ...mutation.fields,
+          updated_at: new Date(mutation.updatedAt).toISOString(),
+        };
+        return idbRequest(store.put(entry));
+      }
+    }
+    if (mutation.type === "delete") {
+      creates
+        .filter((entry) => mutation.ids.includes(entry.item.id))
+        .forEach((entry) => store.delete(entry.seq));
+      const ids = mutation.ids.filter((id) => !isLocalSavedId(id));
+      if (!ids.length) return idbRequest(store.count());
+      return idbRequest(store.add({ ...mutation, ids }));
+    }
+    return idbRequest(store.add(mutation));
+  });
+}
+
+// Async: Send one mutation to the server
+function sendSavedMutation(mutation) {
+  if (mutation.type === "create") {
+    const item = { ...mutation.item };
+    delete item.id;
+    delete item.pending;
+    return savedSolutionsRequest({ method: "POST", ...item });
+  }
+  if (mutation.type === "update") {
+    return savedSolutionsRequest({
+      method: "PATCH",
+      id: mutation.id,
+      ...mutation.fields,
+      updated_at: new Date(mutation.updatedAt).toISOString(),
+    });
+  }
+  return savedSolutionsRequest({ method: "DELETE", ids: mutation.ids });
+}
+
+// Async: Replay the outbox in order. Stops (keeping the rest queued) when the server is
+// unreachable or busy; mutations the server rejects outright (4xx) are dropped.
+// Returns { sent, conflicts, rejected }.
+async function flushOutbox() {
+  const outbox = await loadOutbox();
+  const result = { sent: 0, conflicts: 0, rejected: 0 };
+  if (!outbox.length) return result;
+  const server = (await savedSolutionsRequest({ method: "GET" })) || [];
+  const updated = new Set(); // items this flush has already changed itself
+  // Without a recorded base (older queues, items never synced) the device clock decides
+  const changedSince = (current, mutation) =>
+    mutation.baseUpdatedAt
+      ? new Date(current.updated_at).getTime() !==
+        new Date(mutation.baseUpdatedAt).getTime()
+      : new Date(current.updated_at).getTime() > mutation.updatedAt;
+  for (const mutation of outbox) {
+    const current = server.find((item) => item.id === mutation.id);
+    const stale =
+      mutation.type === "update" &&
+      (!current ||
+        (!updated.has(mutation.id) && changedSince(current, mutation)));
+    if (stale) {
+      result.conflicts++;
+    } else {
+      try {
+        const reply = await sendSavedMutation(mutation);
+        if (mutation.type === "update") updated.add(mutation.id);
+        if (mutation.type === "create") {
+          sentSavedCreates.set(mutation.item.id, {
+            ...mutation.item,
+            serverId: reply?.id,
+          });
+        }
+        result.sent++;
+      } catch (err) {
+        const permanent =
+          err.kind === "http" &&
+          err.status >= 400 &&
+          err.status < 500 &&
+          err.status !== 408 &&
+          err.status !== 429;
+        if (!permanent) throw err;
+        result.rejected++;
+      }
+    }
+    await withStore(OUTBOX_STORE, "readwrite", (store) =>
+      idbRequest(store.delete(mutation.seq))
+    );
+  }
+  return result;
+}
+
+// --- Import / Export ---
+// JSON exports are lossless and can be imported again; CSV (one row per solution) is for
+// spreadsheets and gradebooks, Markdown for reading and printing.
+
+const EXPORT_VERSION = 1;
+const EXPORT_FORMATS = [
+  { id: "json", label: "JSON", type: "application/json" },
+  { id: "csv", label: "CSV", type: "text/csv" },
+  { id: "md", label: "Markdown", type: "text/markdown" },
+];
+const CSV_COLUMNS = [
+  "source",
+  "equation",
+  "answer",
+  "topic",
+  "notes",
+  "favorite",
+  "date",
+];
+
+// Shape of an exported file; entries that do not match are skipped on import
+const EXPORT_SCHEMA = {
+  type: "object",
+  properties: {
+    version: { type: "integer" },
+    saved: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          equation: { type: "string", minLength: 1 },
+          solution: MATH_SOLUTION_SCHEMA.schema,
+          notes: { type: "string" },
+          topic: { type: "string" },
+          tags: { type: "array", items: { type: "string" } },
+          folder: { type: "string" },
+          is_favorite: { type: "boolean" },
+          created_at: { type: "string" },
+        },
+        required: ["equation", "solution"],
+      },
+    },
+    history: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          input: { type: "string", minLength: 1 },
+          solution: MATH_SOLUTION_SCHEMA.schema,
+          topic: { type: "string" },
+          subtopic: { type: ["string", "null"] }, // null when the classifier has none
+          model: { type: "string" },
+          createdAt: { type: "number" },
+        },
+        required: ["input", "solution"],
+      },
+    },
+  },
+  required: ["version"],
+};
+
+// Utility: Offer data to the user as a file download
+function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Utility: Identity of a solution for duplicate detection (problem + answer, spacing ignored)
+function solutionKey(problem, solution) {
+  const squash = (text) =>
+    latexToPlain(String(text || ""), "text")
+      .toLowerCase()
+      .replace(/\s+/g, "");
+  return `${squash(problem)}\n${squash(solution?.final_answer)}`;
+}
+
+// Utility: Saved solutions and history as one list of rows for CSV / Markdown
+function exportRows({ saved = [], history = [] }) {
+  return [
+    ...saved.map((item) => ({
+      source: "saved",
+      problem: item.equation,
+      solution: item.solution || {},
+      topic: savedSolutionTopic(item),
+      notes: item.notes || "",
+      favorite: !!item.is_favorite,
+      date: new Date(item.created_at),
+    })),
+    ...history.map((entry) => ({
+      source: "history",
+      problem: entry.input,
+      solution: entry.solution || {},
+      topic: entry.topic || "",
+      notes: "",
+      favorite: false,
+      date: new Date(entry.createdAt),
+    })),
+  ];
+}
+
+// Utility: Lossless JSON export (what parseLibraryFile reads back)
+function exportJSON({ saved = [], history = [] }) {
+  return JSON.stringify(
+    {
+      app: "MathMaster Pro",
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      saved: saved.map(({ pending, ...item }) => item),
+      history: history.map(({ id, ...entry }) => entry),
+    },
+    null,
+    2
+  );
+}
+
+// Utility: CSV export (RFC 4180 quoting). Cells that a spreadsheet would run as a
+// formula (=, +, -, @) are prefixed with an apostrophe.
+function exportCSV(data) {
+  const cell = (value) => {
+    let text = String(value ?? "");
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = exportRows(data).map((row) => [
+    row.source,
+    latexToPlain(row.problem || "", "text"),
+    latexToPlain(row.solution.final_answer || ""),
+    row.topic,
+    row.notes,
+    row.favorite ? "yes" : "no",
+    isNaN(row.date) ? "" : row.date.toISOString(),
+  ]);
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(cell).join(","))
+    .join("\r\n");
+}
+
+// Utility: Markdown export with every step; equations stay LaTeX in $$ blocks
+function exportMarkdown(data) {
+  const lines = [`# MathMaster Pro export`, ""];
+  exportRows(data).forEach((row) => {
+    lines.push(`## ${latexToPlain(row.problem || "", "text")}`, "");
+    const meta = [
+      row.source === "saved" ? "Saved solution" : "History",
+      row.topic,
+      isNaN(row.date) ? "" : row.date.toLocaleString(),
+      row.favorite ? "★ Favorite" : "",
+    ].filter(Boolean);
+    lines.push(`*${meta.join(" · ")}*`, "");
+    (row.solution.steps || []).forEach((step, idx) => {
+      lines.push(
+        `${idx + 1}. ${latexToPlain(step.explanation || "", "text")}`,
+        "",
+        `   $$${step.equation}$$`,
+        ""
+      );
+    });
+    lines.push(`**Final answer:** $${row.solution.final_answer || ""}$`, "");
+    if (row.solution.tips?.length) {
+      lines.push("**Tips:**", "");
+      row.solution.tips.forEach((tip) =>
+        lines.push(`- ${latexToPlain(tip, "text")}`)
+      );
+      lines.push("");
+    }
+    if (row.notes) lines.push(`> ${row.notes.replace(/\n/g, "\n> ")}`, "");
+  });
+  return lines.join("\n");
+}
+
+// Utility: Read an exported JSON file. Returns { saved, history, skipped } with only valid
+// entries; throws when the file is not a MathMaster Pro export at all.
+function parseLibraryFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(
+      "The file is not valid JSON. Only JSON exports can be imported."
+    );
+  }
+  const errors = validateSchema(
+    { ...data, saved: undefined, history: undefined },
+    EXPORT_SCHEMA
+  );
+  if (errors.length) {
+    throw new Error(
+      `This is not a MathMaster Pro export (${formatSchemaErrors(errors)}).`
+    );
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(
+      "This export was made by a newer version of MathMaster Pro."
+    );
+  }
+  let skipped = 0;
+  const valid = (list, schema) =>
+    (Array.isArray(list) ? list : []).filter((item) => {
+      const ok = !validateSchema(item, schema).length;
+      if (!ok) skipped++;
+      return ok;
+    });
+  return {
+    saved: valid(data.saved, EXPORT_SCHEMA.properties.saved.items),
+    history: valid(data.history, EXPORT_SCHEMA.properties.history.items),
+    skipped,
+  };
+}
+
+// --- Permalinks ---
+// A shared link carries the whole solution in the URL fragment (never sent to a server):
+//   #s=z<base64url of deflate-raw JSON>   (or #s=j<base64url JSON> without CompressionStream)
+// Solutions too long for a chat message fall back to a saved-solution id: #saved=<id>.
+
+const PERMALINK_VERSION = 1;
+const PERMALINK_MAX_LENGTH = 8000; // characters; longer links get truncated by some chat apps
+
+// Utility: base64url <-> bytes
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+// Async: Run bytes through a CompressionStream / DecompressionStream
+async function transformBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+// Async: Encode a problem and its solution as a URL fragment
+async function encodePermalink(input, solution) {
+  const json = JSON.stringify({ v: PERMALINK_VERSION, input, solution });
+  const bytes = new TextEncoder().encode(json);
+  if (typeof CompressionStream === "undefined") {
+    return `#s=j${bytesToBase64Url(bytes)}`;
+  }
+  const packed = await transformBytes(
+    bytes,
+    new CompressionStream("deflate-raw")
+  );
+  return `#s=z${bytesToBase64Url(packed)}`;
+}
+
+// Async: Decode a URL fragment. Returns { input, solution }, { savedId } or null
+// when the fragment is not a permalink. Throws if a permalink is damaged.
+async function decodePermalink(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (params.get("saved")) return { savedId: params.get("saved") };
+  const data = params.get("s");
+  if (!data) return null;
+  if (data[0] !== "z" && data[0] !== "j") {
+    throw new Error("Unknown link format");
+  }
+  if (data[0] === "z" && typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot open compressed links");
+  }
+  let payload;
+  try {
+    let bytes = base64UrlToBytes(data.slice(1));
+    if (data[0] === "z") {
+      bytes = await transformBytes(
+        bytes,
+        new DecompressionStream("deflate-raw")
+      );
+    }
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("The link is incomplete or damaged");
+  }
+  if (payload?.v !== PERMALINK_VERSION || typeof payload.input !== "string") {
+    throw new Error("Unsupported link version");
+  }
+  const errors = validateSchema(payload.solution, MATH_SOLUTION_SCHEMA.schema);
+  if (errors.length) {
+    throw new Error(`Invalid solution (${formatSchemaErrors(errors)})`);
+  }
+  return { input: payload.input, solution: payload.solution };
+}
+
+// Utility: Page URL without its fragment, used as the base of shared links
+function permalinkBase() {
+  return window.location.href.split("#")[0];
+}
+
+// --- PDF Export ---
+// A small hand-written PDF 1.4 writer, so worksheets can be generated without a library.
+// It uses the standard Type 1 fonts every viewer ships with: Helvetica (WinAnsi encoding)
+// for text and Symbol for Greek letters and math operators. Everything is written as
+// ASCII (other bytes are octal-escaped), so string length equals byte offset for the xref.
+
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 50 }; // A4, in points
+const PDF_FONTS = {
+  F1: "Helvetica",
+  F2: "Helvetica-Bold",
+  F3: "Helvetica-Oblique",
+  F4: "Symbol",
+};
+
+// Glyph widths (1/1000 em) for characters 32-126, from the Adobe AFM metrics
+const PDF_HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const PDF_HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// WinAnsi [code, width] for characters outside Latin-1
+const PDF_WINANSI_EXTRA = {
+  "€": [0x80, 556],
+  "…": [0x85, 1000],
+  "⋯": [0x85, 1000],
+  "‘": [0x91, 222],
+  "’": [0x92, 222],
+  "“": [0x93, 333],
+  "”": [0x94, 333],
+  "•": [0x95, 350],
+  "–": [0x96, 556],
+  "—": [0x97, 1000],
+};
+
+// Symbol font [code, width] for Greek letters and math operators
+const PDF_SYMBOL_GLYPHS = {
+  α: [0x61, 631],
+  β: [0x62, 549],
+  γ: [0x67, 411],
+  δ: [0x64, 494],
+  ε: [0x65, 439],
+  ζ: [0x7a, 494],
+  η: [0x68, 603],
+  θ: [0x71, 521],
+  ϑ: [0x4a, 631],
+  ι: [0x69, 329],
+  κ: [0x6b, 549],
+  λ: [0x6c, 549],
+  μ: [0x6d, 576],
+  ν: [0x6e, 521],
+  ξ: [0x78, 493],
+  π: [0x70, 549],
+  ρ: [0x72, 549],
+  σ: [0x73, 603],
+  τ: [0x74, 439],
+  υ: [0x75, 576],
+  φ: [0x66, 521],
+  χ: [0x63, 549],
+  ψ: [0x79, 686],
+  ω: [0x77, 686],
+  Γ: [0x47, 603],
+  Δ: [0x44, 612],
+  Θ: [0x51, 741],
+  Λ: [0x4c, 686],
+  Ξ: [0x58, 645],
+  Π: [0x50, 768],
+  Σ: [0x53, 592],
+  Φ: [0x46, 763],
+  Ψ: [0x59, 795],
+  Ω: [0x57, 768],
+  "≤": [0xa3, 549],
+  "≥": [0xb3, 549],
+  "≠": [0xb9, 549],
+  "≈": [0xbb, 549],
+  "≡": [0xba, 549],
+  "∼": [0x7e, 549],
+  "∝": [0xb5, 713],
+  "∞": [0xa5, 713],
+  "√": [0xd6, 549],
+  "∫": [0xf2, 274],
+  "∑": [0xe5, 713],
+  "∏": [0xd5, 823],
+  "∂": [0xb6, 494],
+  "∇": [0xd1, 713],
+  "→": [0xae, 987],
+  "←": [0xac, 987],
+  "⇒": [0xde, 987],
+  "⇔": [0xdb, 1042],
+  "∈": [0xce, 713],
+  "∉": [0xcf, 713],
+  "⊂": [0xcc, 713],
+  "⊆": [0xcd, 713],
+  "∪": [0xc8, 768],
+  "∩": [0xc7, 768],
+  "∀": [0x22, 713],
+  "∃": [0x24, 549],
+  "∴": [0x5c, 863],
+  "⊥": [0x5e, 658],
+  "∠": [0xd0, 768],
+  "∅": [0xc6, 823],
+  "−": [0x2d, 549],
+  "⋅": [0xd7, 250],
+  "∙": [0xd7, 250],
+  "′": [0xa2, 247],
+  "″": [0xb2, 411],
+  "∓": [0xb1, 549],
+  "⋮": [0xbc, 1000],
+  "↦": [0xae, 987],
+};
+
+// Utility: Split text into font runs with their encoded bytes and width (in 1/1000 em)
+function pdfTextRuns(text, font = "F1") {
+  const widths =
+    font === "F2" ? PDF_HELVETICA_BOLD_WIDTHS : PDF_HELVETICA_WIDTHS;
+  const runs = [];
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    let glyph;
+    if (code >= 32 && code <= 126) glyph = [font, code, widths[code - 32]];
+    else if (code >= 160 && code <= 255) glyph = [font, code, 556];
+    else if (PDF_WINANSI_EXTRA[ch]) glyph = [font, ...PDF_WINANSI_EXTRA[ch]];
+    else if (PDF_SYMBOL_GLYPHS[ch]) glyph = ["F4", ...PDF_SYMBOL_GLYPHS[ch]];
+    else if (/\s/.test(ch)) glyph = [font, 32, widths[0]];
+    else glyph = [font, 63, widths[63 - 32]]; // "?" for anything unsupported
+    const last = runs[runs.length - 1];
+    if (last && last.font === glyph[0]) {
+      last.codes.push(glyph[1]);
+      last.width += glyph[2];
+    } else {
+      runs.push({ font: glyph[0], codes: [glyph[1]], width: glyph[2] });
+    }
+  }
+  return runs;
+}
+
+// Utility: PDF literal string body for byte codes (escapes delimiters and non-ASCII)
+function pdfEscape(codes) {
+  return codes
+    .map((code) => {
+      if (code === 40 || code === 41 || code === 92) {
+        return `\\${String.fromCharCode(code)}`;
+      }
+      if (code < 32 || code > 126)
+        return `\\${code.toString(8).padStart(3, "0")}`;
+      return String.fromCharCode(code);
+    })
+    .join("");
+}
+
+// Utility: Width of text in points
+function pdfTextWidth(text, size, font = "F1") {
+  return (
+    pdfTextRuns(text, font).reduce((sum, run) => sum + run.width, 0) *
+    (size / 1000)
+  );
+}
+
+// Utility: Greedy word wrap to a maximum width; words longer than a line are split
+function wrapPdfText(text, maxWidth, size, font = "F1") {
+  const lines = [];
+  String(text || "")
+    .split("\n")
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach((word) => {
+          const candidate = line ? `${line} ${word}` : word;
+          if (pdfTextWidth(candidate, size, font) <= maxWidth) {
+            line = candidate;
+            return;
+          }
+          if (line) lines.push(line);
+          line = "";
+          let rest = word;
+          while (pdfTextWidth(rest, size, font) > maxWidth) {
+            let cut = rest.length - 1;
+            while (
+              cut > 1 &&
+              pdfTextWidth(rest.slice(0, cut), size, font) > maxWidth
+            )
+              cut--;
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+          }
+          line = rest;
+        });
+      lines.push(line);
+    });
+  return lines;
+}
+
+const pdfNum = (n) => Number(n.toFixed(2)).toString();
+const pdfColor = ([r, g, b], op) =>
+  `${pdfNum(r)} ${pdfNum(g)} ${pdfNum(b)} ${op}`;
+
+// Utility: Create a PDF document builder. Content flows top to bottom and breaks onto new
+// pages automatically; every page gets `title` as a header and "Page n of N" as a footer.
+function createPdfDocument({ title, subtitle = "" }) {
+  const { width, height, margin } = PDF_PAGE;
+  const contentWidth = width - margin * 2;
+  const top = height - margin - 28;
+  const bottom = margin + 24;
+  const pages = [];
+  let ops = null;
+  let y = top;
+
+  function addPage() {
+    ops = [];
+    pages.push(ops);
+    y = top;
+  }
+  function ensureSpace(h) {
+    if (!ops || y - h < bottom) addPage();
+  }
+  function drawText(
+    text,
+    x,
+    baseline,
+    { size = 11, font = "F1", color = [0, 0, 0] } = {}
+  ) {
+    const runs = pdfTextRuns(text, font);
+    ops.push(
+      pdfColor(color, "rg"),
+      `BT ${pdfNum(x)} ${pdfNum(baseline)} Td`,
+      ...runs.map(
+        (run) => `/${run.font} ${size} Tf (${pdfEscape(run.codes)}) Tj`
+      ),
+      "ET"
+    );
+  }
+
+  // Wrapped text block; `indent` is relative to the left margin
+  function paragraph(
+    text,
+    { size = 11, font = "F1", color, indent = 0, gap = 6 } = {}
+  ) {
+    const lineHeight = size * 1.4;
+    wrapPdfText(text, contentWidth - indent, size, font).forEach((line) => {
+      ensureSpace(lineHeight);
+      y -= lineHeight;
+      drawText(line, margin + indent, y + size * 0.3, { size, font, color });
+    });
+    y -= gap;
+  }
+
+  // `keep` reserves room for the block that follows so a heading is never orphaned
+  function heading(text, { size = 15, keep = 40 } = {}) {
+    ensureSpace(size * 2 + keep);
+    y -= size * 0.6;
+    paragraph(text, { size, font: "F2", color: [0.29, 0.16, 0.6], gap: 4 });
+  }
+
+  // Text on a shaded box, used for equations
+  function shadedBlock(
+    text,
+    { size = 12, indent = 0, fill = [0.95, 0.95, 0.97] } = {}
+  ) {
+    const pad = 6;
+    const lineHeight = size * 1.4;
+    const lines = wrapPdfText(text, contentWidth - indent - pad * 2, size);
+    const blockHeight = lines.length * lineHeight + pad * 2;
+    ensureSpace(Math.min(blockHeight, top - bottom));
+    ops.push(
+      pdfColor(fill, "rg"),
+      `${pdfNum(margin + indent)} ${pdfNum(y - blockHeight)} ${pdfNum(
+        contentWidth - indent
+      )} ${pdfNum(blockHeight)} re f`
+    );
+    y -= pad;
+    lines.forEach((line) => {
+      y -= lineHeight;
+      drawText(line, margin + indent + pad, y + size * 0.3, { size });
+    });
+    y -= pad + 8;
+  }
+
+  function bullets(items, { size = 11, indent = 0 } = {}) {
+    items.forEach((item) => {
+      const lineHeight = size * 1.4;
+      const lines = wrapPdfText(item, contentWidth - indent - 14, size);
+      lines.forEach((line, idx) => {
+        ensureSpace(lineHeight);
+        y -= lineHeight;
+        if (idx === 0) drawText("•", margin + indent, y + size * 0.3, { size });
+        drawText(line, margin + indent + 14, y + size * 0.3, { size });
+      });
+      y -= 3;
+    });
+    y -= 4;
+  }
+
+  // Blank lined space for students to write in
+  function workSpace(lines = 4) {
+    for (let i = 0; i < lines; i++) {
+      ensureSpace(22);
+      y -= 22;
+      ops.push(
+        pdfColor([0.8, 0.8, 0.8], "RG"),
+        "0.5 w",
+        `${pdfNum(margin + 14)} ${pdfNum(y)} m ${pdfNum(
+          margin + contentWidth
+        )} ${pdfNum(y)} l S`
+      );
+    }
+    y -= 8;
+  }
+
+  // Static rendering of solution.graph_data, using the same scaling as GraphPlot
+  function graph(data, plotHeight = 220) {
+    const { type, points } = normalizeGraphData(data);
+    if (!points.length) return;
+    ensureSpace(plotHeight + 24);
+    const view = graphBounds(points, type);
+    const left = margin + 40;
+    const right = margin + contentWidth - 10;
+    const base = y - plotHeight;
+    const plotTop = y - 8;
+    const plotBottom = base + 20;
+    const sx = (x) =>
+      left + ((x - view.xMin) / (view.xMax - view.xMin)) * (right - left);
+    const sy = (v) =>
+      plotBottom +
+      ((v - view.yMin) / (view.yMax - view.yMin)) * (plotTop - plotBottom);
+    const xTicks = niceTicks(view.xMin, view.xMax, 8);
+    const yTicks = niceTicks(view.yMin, view.yMax, 6);
+
+    ops.push(pdfColor([0.9, 0.9, 0.9], "RG"), "0.5 w");
+    xTicks.ticks.forEach((t) =>
+      ops.push(
+        `${pdfNum(sx(t))} ${pdfNum(plotBottom)} m ${pdfNum(sx(t))} ${pdfNum(
+          plotTop
+        )} l S`
+      )
+    );
+    yTicks.ticks.forEach((t) =>
+      ops.push(
+        `${pdfNum(left)} ${pdfNum(sy(t))} m ${pdfNum(right)} ${pdfNum(
+          sy(t)
+        )} l S`
+      )
+    );
+    const xAxis = sy(Math.min(Math.max(0, view.yMin), view.yMax));
+    const yAxis = sx(Math.min(Math.max(0, view.xMin), view.xMax));
+    ops.push(
+      pdfColor([0.4, 0.4, 0.4], "RG"),
+      "0.8 w",
+      `${pdfNum(left)} ${pdfNum(xAxis)} m ${pdfNum(right)} ${pdfNum(
+        xAxis
+      )} l S`,
+      `${pdfNum(yAxis)} ${pdfNum(plotBottom)} m ${pdfNum(yAxis)} ${pdfNum(
+        plotTop
+      )} l S`
+    );
+    xTicks.ticks.forEach((t) => {
+      const label = formatGraphNumber(t, xTicks.step);
+      drawText(label, sx(t) - pdfTextWidth(label, 8) / 2, plotBottom - 12, {
+        size: 8,
+        color: [0.4, 0.4, 0.4],
+      });
+    });
+    yTicks.ticks.forEach((t) => {
+      const label = formatGraphNumber(t, yTicks.step);
+      drawText(label, left - 4 - pdfTextWidth(label, 8), sy(t) - 3, {
+        size: 8,
+        color: [0.4, 0.4, 0.4],
+      });
+    });
+
+    const series = [0.49, 0.23, 0.93];
+    ops.push(
+      "q",
+      `${pdfNum(left)} ${pdfNum(plotBottom)} ${pdfNum(right - left)} ${pdfNum(
+        plotTop - plotBottom
+      )} re W n`
+    );
+    if (type === "line") {
+      ops.push(
+        pdfColor(series, "RG"),
+        "1.5 w",
+        "1 j",
+        points
+          .map(
+            (p, idx) =>
+              `${pdfNum(sx(p.x))} ${pdfNum(sy(p.y))} ${idx ? "l" : "m"}`
+          )
+          .join(" ") + " S"
+      );
+    } else if (type === "bar") {
+      const gaps = points
+        .slice(1)
+        .map((p, idx) => p.x - points[idx].x)
+        .filter((g) => g > 0);
+      const step = gaps.length ? Math.min(...gaps) : view.xMax - view.xMin;
+      const barWidth = (step / (view.xMax - view.xMin)) * (right - left) * 0.7;
+      ops.push(pdfColor(series, "rg"));
+      points.forEach((p) => {
+        const y0 = Math.min(sy(p.y), sy(0));
+        ops.push(
+          `${pdfNum(sx(p.x) - barWidth / 2)} ${pdfNum(y0)} ${pdfNum(
+            barWidth
+          )} ${pdfNum(Math.abs(sy(p.y) - sy(0)))} re f`
+        );
+      });
+    } else {
+      ops.push(pdfColor(series, "rg"));
+      points.forEach((p) =>
+        ops.push(`${pdfNum(sx(p.x) - 2.5)} ${pdfNum(sy(p.y) - 2.5)} 5 5 re f`)
+      );
+    }
+    ops.push("Q");
+    y = base - 4;
+  }
+
+  function pageBreak() {
+    addPage();
+  }
+
+  // Serialize to PDF bytes
+  function toBytes() {
+    if (!pages.length) addPage();
+    const objects = [];
+    const add = (body) => objects.push(body);
+    add(null); // 1: catalog
+    add(null); // 2: page tree
+    const fontRefs = Object.entries(PDF_FONTS)
+      .map(([key, baseFont]) => {
+        const encoding =
+          baseFont === "Symbol" ? "" : " /Encoding /WinAnsiEncoding";
+        const id = add(
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont}${encoding} >>`
+        );
+        return `/${key} ${id} 0 R`;
+      })
+      .join(" ");
+    const date = new Date().toLocaleDateString();
+    const pageIds = pages.map((pageOps, idx) => {
+      const frame = [];
+      const saved = ops;
+      ops = frame;
+      drawText(title, margin, height - margin, {
+        size: 9,
+        font: "F2",
+        color: [0.4, 0.4, 0.4],
+      });
+      const meta = subtitle ? `${subtitle} · ${date}` : date;
+      drawText(meta, width - margin - pdfTextWidth(meta, 9), height - margin, {
+        size: 9,
+        color: [0.4, 0.4, 0.4],
+      });
+      const footer = `Page ${idx + 1} of ${pages.length}`;
+      drawText(footer, (width - pdfTextWidth(footer, 9)) / 2, margin - 10, {
+        size: 9,
+        color: [0.4, 0.4, 0.4],
+      });
+      ops = saved;
+      frame.push(
+        pdfColor([0.8, 0.8, 0.8], "RG"),
+        "0.5 w",
+        `${pdfNum(margin)} ${pdfNum(height - margin - 8)} m ${pdfNum(
+          width - margin
+        )} ${pdfNum(height - margin - 8)} l S`
+      );
+      const stream = [...frame, ...pageOps].join("\n");
+      const contentId = add(
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+      );
+      return add(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNum(width)} ${pdfNum(
+          height
+        )}] /Resources << /Font << ${fontRefs} >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+    objects[0] = "<< /Type /Catalog /Pages 2 0 R >>";
+    objects[1] = `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(" ")}] /Count ${pageIds.length} >>`;
+    const infoId = add(
+      `<< /Title (${pdfEscape(
+        pdfTextRuns(title)[0]?.codes || []
+      )}) /Producer (MathMaster Pro) >>`
+    );
+
+    let out = "%PDF-1.4\n";
+    const offsets = objects.map((body, idx) => {
+      const offset = out.length;
+      out += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets
+      .map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)
+      .join("");
+    out += `trailer\n<< /Size ${
+      objects.length + 1
+    } /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return new TextEncoder().encode(out);
+  }
+
+  return {
+    heading,
+    paragraph,
+    shadedBlock,
+    bullets,
+    workSpace,
+    graph,
+    pageBreak,
+    toBytes,
+  };
+}
+
+// Utility: Build the worksheet PDF for a solution.
+// options: { alternatives, practice } arrays to include (omit or empty to leave out)
+function buildSolutionPdf({
+  problem,
+  solution,
+  topic,
+  verification,
+  alternatives = [],
+  practice = [],
+}) {
+  const doc = createPdfDocument({
+    title: "MathMaster Pro",
+    subtitle: topic || "",
+  });
+  const plain = (text) => latexToPlain(text, "text");
+  const math = (text) => latexToPlain(text);
+
+  doc.heading("Problem", { size: 18 });
+  doc.shadedBlock(plain(problem), { size: 13 });
+  const meta = [
+    solution.difficulty_level && `Difficulty: ${solution.difficulty_level}`,
+    verification &&
+      verification.status !== "unverified" &&
+      `Answer check: ${verification.message}`,
+  ].filter(Boolean);
+  if (meta.length)
+    doc.paragraph(meta.join(" · "), {
+      size: 9,
+      font: "F3",
+      color: [0.4, 0.4, 0.4],
+    });
+
+  doc.heading("Step-by-step solution");
+  solution.steps.forEach((step, idx) => {
+    doc.paragraph(`Step ${idx + 1}`, { font: "F2", gap: 2 });
+    doc.paragraph(plain(step.explanation), { indent: 14, gap: 4 });
+    doc.shadedBlock(math(step.equation), { indent: 14 });
+  });
+
+  doc.heading("Final answer");
+  doc.shadedBlock(math(solution.final_answer), {
+    size: 14,
+    fill: [0.9, 0.97, 0.91],
+  });
+
+  if (solution.tips?.length) {
+    doc.heading("Tips");
+    doc.bullets(solution.tips.map(plain));
+  }
+  if (solution.graph_data) {
+    doc.heading("Graph", { keep: 240 });
+    doc.graph(solution.graph_data);
+  }
+  if (alternatives.length) {
+    doc.heading("Alternative methods");
+    alternatives.forEach((method) => {
+      doc.paragraph(method.name, { font: "F2", size: 12 });
+      method.steps.forEach((step) => {
+        doc.paragraph(plain(step.explanation), { indent: 14, gap: 2 });
+        doc.shadedBlock(math(step.equation), { indent: 14, size: 11 });
+      });
+      doc.paragraph(`Final answer: ${math(method.final_answer)}`, {
+        indent: 14,
+        font: "F2",
+      });
+    });
+  }
+  if (practice.length) {
+    doc.pageBreak();
+    doc.heading("Practice problems", { size: 18 });
+    practice.forEach((item, idx) => {
+      doc.paragraph(`${idx + 1}. ${plain(item.problem)}`, { size: 12, gap: 2 });
+      doc.paragraph(`(${item.difficulty})`, {
+        size: 9,
+        font: "F3",
+        color: [0.4, 0.4, 0.4],
+        indent: 14,
+        gap: 0,
+      });
+      doc.workSpace(5);
+    });
+    doc.pageBreak();
+    doc.heading("Answer key");
+    practice.forEach((item, idx) => {
+      doc.paragraph(`${idx + 1}. ${plain(item.solution)}`);
+    });
+  }
+  return doc.toBytes();
+}
+
+// --- Image Preprocessing ---
+// Photos are cleaned up in the browser before they are uploaded: the user's rotation and crop
+// are applied, the page is straightened, converted to high-contrast grayscale and scaled
+// down. Redrawing through a canvas also drops EXIF metadata such as the GPS location.
+// Edits are { rotation: 0 | 90 | 180 | 270, crop: [left, top, right, bottom] (0-1) | null,
+// deskew, enhance }.
+
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const UPLOAD_MAX_BYTES = 25 * 1024 * 1024;
+const IMAGE_MAX_DIMENSION = 2000; // px, longest side after preprocessing
+const IMAGE_JPEG_QUALITY = 0.85;
+const DESKEW_MAX_ANGLE = 10; // degrees
+const DESKEW_SAMPLE_WIDTH = 600; // px, skew is estimated on a smaller copy
+const IMAGE_DEFAULT_EDITS = {
+  rotation: 0,
+  crop: null,
+  deskew: true,
+  enhance: true,
+};
+
+// Utility: PDFs by type, or by name when the browser reports no (or a generic) type
+function isPdfFile(file) {
+  return file.type === "application/pdf" || /\.pdf$/i.test(file.name || "");
+}
+
+// Utility: Why a file cannot be uploaded, or "" when it can
+function validateUpload(file) {
+  if (!IMAGE_TYPES.includes(file.type) && !isPdfFile(file)) {
+    return `${file.name} is not a PNG, JPG, WEBP or PDF file.${
+      /heic|heif/i.test(file.type || file.name)
+        ? " Save iPhone photos as JPG (Settings > Camera > Formats > Most Compatible)."
+        : ""
+    }`;
+  }
+  if (file.size > UPLOAD_MAX_BYTES) {
+    return `${file.name} is larger than ${UPLOAD_MAX_BYTES / 1024 / 1024} MB.`;
+  }
+  return "";
+}
+
+// Utility: Size of a width x height image after a quarter-turn rotation
+function rotatedSize(width, height, rotation) {
+  return rotation % 180 ? [height, width] : [width, height];
+}
+
+// Utility: Draw an image rotated clockwise by rotation (0/90/180/270) with its corner at 0,0
+function drawRotated(ctx, image, rotation, width, height) {
+  ctx.save();
+  if (rotation === 90) ctx.translate(height, 0);
+  if (rotation === 180) ctx.translate(width, height);
+  if (rotation === 270) ctx.translate(0, width);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(image, 0, 0, width, height);
+  ctx.restore();
+}
+
+// Utility: Luminance (0-255) of each pixel of RGBA image data
+function grayscalePixels(data) {
+  const gray = new Uint8Array(data.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] =
+      0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+// Utility: Skew of the text lines in degrees (clockwise positive), found by rotating the
+// dark pixels through candidate angles and keeping the one whose row profile is sharpest
+function estimateSkew(gray, width, height) {
+  let sum = 0;
+  for (const v of gray) sum += v;
+  const threshold = (sum / gray.length) * 0.7;
+  const points = [];
+  // Every other pixel is plenty for a line profile
+  for (let y = 0; y < height; y += 2) {
+    for (let x = 0; x < width; x += 2) {
+      if (gray[y * width + x] < threshold) points.push(x, y);
+    }
+  }
+  if (points.length < 200) return 0;
+  const score = (degrees) => {
+    const a = (degrees * Math.PI) / 180;
+    const sin = Math.sin(a);
+    const cos = Math.cos(a);
+    const rows = new Map();
+    for (let i = 0; i < points.length; i += 2) {
+      const row = Math.round((points[i + 1] * cos - points[i] * sin) / 2);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    }
+    let total = 0;
+    for (const count of rows.values()) total += count * count;
+    return total;
+  };
+  // Whole degrees over the full range, then quarter degrees around the best one
+  let best = 0;
+  let bestScore = score(0);
+  const search = (from, to, step) => {
+    for (let angle = from; angle <= to; angle += step) {
+      const s = score(angle);
+      if (s > bestScore) {
+        best = angle;
+        bestScore = s;
+      }
+    }
+  };
+  search(-DESKEW_MAX_ANGLE, DESKEW_MAX_ANGLE, 1);
+  search(best - 0.75, best + 0.75, 0.25);
+  return best;
+}
+
+// Utility: Grayscale with the contrast stretched so the darkest 2% of pixels become black
+// and the lightest 2% white (in place on RGBA image data)
+function enhanceContrast(data) {
+  const gray = grayscalePixels(data);
+  const histogram = new Array(256).fill(0);
+  for (const v of gray) histogram[v]++;
+  const cut = gray.length * 0.02;
+  let low = 0;
+  for (let seen = 0; low < 255 && seen + histogram[low] <= cut; low++) {
+    seen += histogram[low];
+  }
+  let high = 255;
+  for (let seen = 0; high > 0 && seen + histogram[high] <= cut; high--) {
+    seen += histogram[high];
+  }
+  const range = Math.max(1, high - low);
+  gray.forEach((v, i) => {
+    const out = ((v - low) * 255) / range;
+    data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = out;
+  });
+  return data;
+}
+
+// Async: Apply edits to an image file and return a downsized JPEG without metadata
+async function preprocessImage(file, edits = IMAGE_DEFAULT_EDITS) {
+  let bitmap;
+  try {
+    // Applies the EXIF orientation, so phone photos come out upright
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`${file.name} could not be opened as an image.`);
+  }
+  const [rotatedWidth, rotatedHeight] = rotatedSize(
+    bitmap.width,
+    bitmap.height,
+    edits.rotation
+  );
+  const [left, top, right, bottom] = edits.crop || [0, 0, 1, 1];
+  const cropWidth = (right - left) * rotatedWidth;
+  const cropHeight = (bottom - top) * rotatedHeight;
+  const scale = Math.min(
+    1,
+    IMAGE_MAX_DIMENSION / Math.max(cropWidth, cropHeight)
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(cropWidth * scale));
+  canvas.height = Math.max(1, Math.round(cropHeight * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.scale(scale, scale);
+  ctx.translate(-left * rotatedWidth, -top * rotatedHeight);
+  drawRotated(ctx, bitmap, edits.rotation, bitmap.width, bitmap.height);
+  bitmap.close();
+
+  if (edits.deskew) {
+    const sample = document.createElement("canvas");
+    const ratio = Math.min(1, DESKEW_SAMPLE_WIDTH / canvas.width);
+    sample.width = Math.round(canvas.width * ratio);
+    sample.height = Math.round(canvas.height * ratio);
+    const sampleCtx = sample.getContext("2d");
+    sampleCtx.drawImage(canvas, 0, 0, sample.width, sample.height);
+    const { data } = sampleCtx.getImageData(0, 0, sample.width, sample.height);
+    const angle = estimateSkew(
+      grayscalePixels(data),
+      sample.width,
+      sample.height
+    );
+    if (Math.abs(angle) >= 0.25) {
+      const copy = document.createElement("canvas");
+      copy.width = canvas.width;
+      copy.height = canvas.height;
+      copy.getContext("2d").drawImage(canvas, 0, 0);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.translate(canvas.width / 2, canvas.height / 2);
+      ctx.rotate((-angle * Math.PI) / 180);
+      ctx.drawImage(copy, -canvas.width / 2, -canvas.height / 2);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+  }
+
+  if (edits.enhance) {
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    enhanceContrast(image.data);
+    ctx.putImageData(image, 0, 0);
+  }
+
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/jpeg", IMAGE_JPEG_QUALITY)
+  );
+  if (!blob) throw new Error(`${file.name} could not be converted.`);
+  return new File([blob], file.name.replace(/\.[^.]*$/, "") + ".jpg", {
+    type: "image/jpeg",
+  });
+}
+
+// --- Worksheet Import ---
+// Uploads can be several photos or a PDF worksheet. Every page is read by the vision model,
+// which lists the numbered problems on it; the list is reviewed and edited before anything
+// is solved. The model also marks where each problem is on the page and which characters
+// it is unsure of, so the review shows the cropped image next to highlighted text.
+// PDFs are not rendered: scanners and phone scan apps store each page as a JPEG
+// (DCTDecode) image, and those are pulled out of the file and read like photos.
+
+const WORKSHEET_MAX_PAGES = 30;
+const WORKSHEET_MIN_IMAGE_SIZE = 200; // px; smaller PDF images are logos and icons
+const WORKSHEET_PROMPT = `This is a page of a math worksheet. List every numbered problem on it, in order. Write each problem as plain text, including its instruction (for example "Solve for x: 2x + 5 = 15"). For each problem also give "box", where it is on the page as [left, top, right, bottom] fractions of the page width and height, and "uncertain", every character or short part you are not sure you read correctly, as {"text": the exact part of text, "note": what else it could be}. Reply with JSON only, in the form {"problems": [{"number": "1", "text": "...", "box": [0.1, 0.2, 0.9, 0.25], "uncertain": [{"text": "5", "note": "could be s"}]}]}.`;
+
+// Utility: JPEG images embedded in a PDF, in file order
+function extractPdfImages(buffer) {
+  const bytes = new Uint8Array(buffer);
+  // One character per byte, so string offsets are byte offsets
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  if (!text.startsWith("%PDF-")) throw new Error("The file is not a PDF.");
+  const images = [];
+  const streamRe = /stream\r?\n/g;
+  let match;
+  while ((match = streamRe.exec(text))) {
+    if (text.slice(match.index - 3, match.index) === "end") continue;
+    const dict = text.slice(text.lastIndexOf("obj", match.index), match.index);
+    const start = match.index + match[0].length;
+    const lengthMatch = dict.match(/\/Length\s+(\d+)(\s+\d+\s+R)?/);
+    // An indirect /Length (12 0 R) is not followed; the stream ends where
+    // "endstream endobj" does (a bare "endstream" can occur inside JPEG data)
+    const length =
+      lengthMatch && !lengthMatch[2] ? Number(lengthMatch[1]) : null;
+    const close = /endstream\s*endobj/g;
+    close.lastIndex = start;
+    let end = length !== null ? start + length : close.exec(text)?.index;
+    if (!(end >= start)) break;
+    streamRe.lastIndex = end;
+    if (
+      !/\/Subtype\s*\/Image/.test(dict) ||
+      !/\/Filter\s*(\[\s*)?\/DCTDecode(\s*\])?\s*[/>]/.test(dict)
+    ) {
+      continue;
+    }
+    const width = Number(dict.match(/\/Width\s+(\d+)/)?.[1] || 0);
+    const height = Number(dict.match(/\/Height\s+(\d+)/)?.[1] || 0);
+    if (
+      Math.min(width, height) < WORKSHEET_MIN_IMAGE_SIZE ||
+      bytes[start] !== 0xff ||
+      bytes[start + 1] !== 0xd8
+    ) {
+      continue;
+    }
+    // Without a direct /Length, trim the line break before "endstream"
+    while (
+      length === null &&
+      end > start &&
+      (bytes[end - 1] === 0x0a || bytes[end - 1] === 0x0d)
+    ) {
+      end--;
+    }
+    images.push(new Blob([bytes.slice(start, end)], { type: "image/jpeg" }));
+  }
+  return images;
+}
+
+// Async: Turn uploaded files into page images, [{ name, file, edits }]; the edits for a
+// photo come from editsFor(file), PDF pages get the default clean-up
+async function readWorksheetFiles(files, editsFor = () => IMAGE_DEFAULT_EDITS) {
+  const pages = [];
+  for (const file of files) {
+    const invalid = validateUpload(file);
+    if (invalid) throw new Error(invalid);
+    if (isPdfFile(file)) {
+      const images = extractPdfImages(await file.arrayBuffer());
+      if (!images.length) {
+        throw new Error(
+          `${file.name} has no scanned pages. Scan or photograph the worksheet and upload the images instead.`
+        );
+      }
+      const base = file.name.replace(/\.pdf$/i, "");
+      images.forEach((blob, idx) =>
+        pages.push({
+          name: `${file.name}, page ${idx + 1}`,
+          file: new File([blob], `${base}-page-${idx + 1}.jpg`, {
+            type: "image/jpeg",
+          }),
+          edits: IMAGE_DEFAULT_EDITS,
+        })
+      );
+    } else {
+      pages.push({ name: file.name, file, edits: editsFor(file) });
+    }
+  }
+  if (pages.length > WORKSHEET_MAX_PAGES) {
+    throw new Error(
+      `That is ${pages.length} pages; upload at most ${WORKSHEET_MAX_PAGES} at a time.`
+    );
+  }
+  return pages;
+}
+
+// Utility: Problems from the vision model's reply, [{ number, text, box, spans }].
+// Falls back to numbered lines ("3. ...", "3) ...") when the reply is not the requested JSON.
+function parseWorksheetProblems(content) {
+  const { value, errors } = checkStructured(content, WORKSHEET_PROBLEMS_SCHEMA);
+  if (!errors.length) {
+    return value.problems
+      .map((item) => {
+        const text = item.text.trim();
+        return {
+          number: item.number.trim(),
+          text,
+          box: cropBox(item.box),
+          spans: uncertainSpans(text, item.uncertain || []),
+        };
+      })
+      .filter((item) => item.text);
+  }
+  const lines = String(content || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const numbered = lines
+    .map((line) => line.match(/^(?:problem\s*)?(\d+[a-z]?)\s*[.):]\s*(.+)$/i))
+    .filter(Boolean);
+  if (numbered.length) {
+    return numbered.map((m) => ({ number: m[1], text: m[2] }));
+  }
+  // A single unnumbered problem, as from a photo of one equation
+  return lines.length ? [{ number: "", text: lines.join(" ") }] : [];
+}
+
+// Utility: A usable [left, top, right, bottom] box (fractions of the page), or null
+function cropBox(box) {
+  if (!Array.isArray(box) || box.length !== 4) return null;
+  const [left, top, right, bottom] = box.map((v) =>
+    Math.min(1, Math.max(0, v))
+  );
+  return right > left && bottom > top ? [left, top, right, bottom] : null;
+}
+
+// Utility: Uncertain parts located in the text, as sorted non-overlapping
+// [{ start, end, note }]. Repeated parts match successive occurrences.
+function uncertainSpans(text, uncertain) {
+  const spans = [];
+  const from = {};
+  for (const item of uncertain) {
+    const part = item.text;
+    const start = text.indexOf(part, from[part] || 0);
+    if (start === -1) continue;
+    from[part] = start + part.length;
+    spans.push({ start, end: start + part.length, note: item.note || "" });
+  }
+  spans.sort((a, b) => a.start - b.start);
+  return spans.filter((span, idx) => !idx || span.start >= spans[idx - 1].end);
+}
+
+// Utility: Keep highlights in place while the text is edited. The edit is taken as the
+// changed run between the common prefix and suffix; spans it touches were corrected and
+// are dropped, spans after it move by the change in length.
+function shiftSpans(spans, before, after) {
+  let prefix = 0;
+  while (
+    prefix < before.length &&
+    prefix < after.length &&
+    before[prefix] === after[prefix]
+  ) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const changedEnd = before.length - suffix;
+  const delta = after.length - before.length;
+  return spans
+    .filter((span) => span.end <= prefix || span.start >= changedEnd)
+    .map((span) =>
+      span.start >= changedEnd
+        ? { ...span, start: span.start + delta, end: span.end + delta }
+        : span
+    );
+}
+
+let worksheetProblemId = 0;
+// Utility: A worksheet list entry; status is "pending" | "solving" | "solved" | "failed".
+// `image` is the page it was read from (an object URL) and `box` its place on that page.
+function worksheetProblem({
+  number = "",
+  text = "",
+  source = "",
+  image = null,
+  box = null,
+  spans = [],
+}) {
+  worksheetProblemId += 1;
+  return {
+    id: worksheetProblemId,
+    number,
+    text,
+    source,
+    image,
+    box,
+    spans,
+    status: "pending",
+    error: "",
+    entry: null,
+  };
+}
+
+// --- UI Components ---
+
+// Graph Plot Component: SVG plot of solution.graph_data with zoom, pan and hover readouts
+const GRAPH_WIDTH = 640;
+const GRAPH_HEIGHT = 320;
+const GRAPH_MARGIN = { top: 16, right: 20, bottom: 36, left: 56 };
+
+function GraphPlot({ data }) {
+  const { type, points } = normalizeGraphData(data);
+  const initialView = points.length ? graphBounds(points, type) : null;
+  const [view, setView] = useState(initialView);
+  const [hover, setHover] = useState(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Reset the viewport whenever a new data set arrives
+  useEffect(() => {
+    setView(initialView);
+    setHover(null);
+    // eslint-disable-next-line
+  }, [data]);
+
+  const plotW = GRAPH_WIDTH - GRAPH_MARGIN.left - GRAPH_MARGIN.right;
+  const plotH = GRAPH_HEIGHT - GRAPH_MARGIN.top - GRAPH_MARGIN.bottom;
+
+  // Zoom around a data-space anchor point (factor < 1 zooms in)
+  const zoom = (factor, anchor) => {
+    setView((v) => {
+      if (!v) return v;
+      const ax = anchor ? anchor.x : (v.xMin + v.xMax) / 2;
+      const ay = anchor ? anchor.y : (v.yMin + v.yMax) / 2;
+      return {
+        xMin: ax - (ax - v.xMin) * factor,
+        xMax: ax + (v.xMax - ax) * factor,
+        yMin: ay - (ay - v.yMin) * factor,
+        yMax: ay + (v.yMax - ay) * factor,
+      };
+    });
+  };
+
+  // Convert a mouse event into SVG viewBox coordinates
+  const toSvgPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      sx: ((e.clientX - rect.left) / rect.width) * GRAPH_WIDTH,
+      sy: ((e.clientY - rect.top) / rect.height) * GRAPH_HEIGHT,
+    };
+  };
+
+  // Wheel zoom needs a non-passive listener so the page does not scroll
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || !view) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { sx, sy } = toSvgPoint(e);
+      const x =
+        view.xMin +
+        ((sx - GRAPH_MARGIN.left) / plotW) * (view.xMax - view.xMin);
+      const y =
+        view.yMax - ((sy - GRAPH_MARGIN.top) / plotH) * (view.yMax - view.yMin);
+      zoom(e.deltaY > 0 ? 1.15 : 1 / 1.15, { x, y });
+    };
+    svg.addEventListener("wheel", handleWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", handleWheel);
+    // eslint-disable-next-line
+  }, [view]);
+
+  if (!points.length || !view) {
+    return (
+      <div className="h-64 w-full flex items-center justify-center text-gray-500">
+        No plottable points were provided for this graph.
+      </div>
+    );
+  }
+
+  const sxOf = (x) =>
+    GRAPH_MARGIN.left + ((x - view.xMin) / (view.xMax - view.xMin)) * plotW;
+  const syOf = (y) =>
+    GRAPH_MARGIN.top + ((view.yMax - y) / (view.yMax - view.yMin)) * plotH;
+  const xTicks = niceTicks(view.xMin, view.xMax, 8);
+  const yTicks = niceTicks(view.yMin, view.yMax, 6);
+  // Axes sit at zero when visible, otherwise they stick to the plot edges
+  const xAxisY = syOf(Math.min(Math.max(0, view.yMin), view.yMax));
+  const yAxisX = sxOf(Math.min(Math.max(0, view.xMin), view.xMax));
+
+  const handleMouseDown = (e) => {
+    dragRef.current = { ...toSvgPoint(e), view };
+  };
+  const handleMouseMove = (e) => {
+    const { sx, sy } = toSvgPoint(e);
+    if (dragRef.current) {
+      const start = dragRef.current;
+      const dx =
+        ((sx - start.sx) / plotW) * (start.view.xMax - start.view.xMin);
+      const dy =
+        ((sy - start.sy) / plotH) * (start.view.yMax - start.view.yMin);
+      setView({
+        xMin: start.view.xMin - dx,
+        xMax: start.view.xMax - dx,
+        yMin: start.view.yMin + dy,
+        yMax: start.view.yMax + dy,
+      });
+      setHover(null);
+      return;
+    }
+    // Line and bar charts snap to the nearest x; scatter uses true distance
+    let nearest = null;
+    let best = Infinity;
+    points.forEach((p, idx) => {
+      const d =
+        type === "scatter"
+          ? Math.hypot(sxOf(p.x) - sx, syOf(p.y) - sy)
+          : Math.abs(sxOf(p.x) - sx);
+      if (d < best) {
+        best = d;
+        nearest = idx;
+      }
+    });
+    setHover(best < 40 ? nearest : null);
+  };
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  // Bars take 70% of the smallest gap between neighbouring x values
+  let barWidth = plotW / Math.max(points.length, 1);
+  if (type === "bar" && points.length > 1) {
+    const gaps = points
+      .slice(1)
+      .map((p, i) => p.x - points[i].x)
+      .filter((g) => g > 0);
+    if (gaps.length)
+      barWidth = (Math.min(...gaps) / (view.xMax - view.xMin)) * plotW;
+  }
+  barWidth *= 0.7;
+
+  const hoverPoint = hover !== null ? points[hover] : null;
+  const linePath = points
+    .map(
+      (p, i) =>
+        `${i === 0 ? "M" : "L"}${sxOf(p.x).toFixed(2)},${syOf(p.y).toFixed(2)}`
+    )
+    .join(" ");
+
+  return (
+    <div>
+      <div className="flex justify-end gap-2 mb-2 text-sm">
+        <button
+          onClick={() => zoom(1 / 1.25)}
+          className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200"
+          aria-label="Zoom in"
+        >
+          <i className="fas fa-search-plus"></i>
+        </button>
+        <button
+          onClick={() => zoom(1.25)}
+          className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200"
+          aria-label="Zoom out"
+        >
+          <i className="fas fa-search-minus"></i>
+        </button>
+        <button
+          onClick={() => setView(initialView)}
+          className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200"
+          aria-label="Reset view"
+        >
+          <i className="fas fa-compress-arrows-alt mr-1"></i>Reset
+        </button>
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+        className="w-full h-auto select-none cursor-move"
+        role="img"
+        aria-label={`${type} graph of ${points.length} points`}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={endDrag}
+        onMouseLeave={() => {
+          endDrag();
+          setHover(null);
+        }}
+      >
+        <defs>
+          <clipPath id="graph-plot-area">
+            <rect
+              x={GRAPH_MARGIN.left}
+              y={GRAPH_MARGIN.top}
+              width={plotW}
+              height={plotH}
+            />
+          </clipPath>
+        </defs>
+        <rect
+          x={GRAPH_MARGIN.left}
+          y={GRAPH_MARGIN.top}
+          width={plotW}
+          height={plotH}
+          fill="#f9fafb"
+        />
+        {/* Grid + tick labels */}
+        {xTicks.ticks.map((t) => (
+          <g key={`x-${t}`}>
+            <line
+              x1={sxOf(t)}
+              x2={sxOf(t)}
+              y1={GRAPH_MARGIN.top}
+              y2={GRAPH_MARGIN.top + plotH}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={sxOf(t)}
+              y={GRAPH_HEIGHT - GRAPH_MARGIN.bottom + 16}
+              textAnchor="middle"
+              fontSize="11"
+              fill="#6b7280"
+            >
+              {formatGraphNumber(t, xTicks.step)}
+            </text>
+          </g>
+        ))}
+        {yTicks.ticks.map((t) => (
+          <g key={`y-${t}`}>
+            <line
+              x1={GRAPH_MARGIN.left}
+              x2={GRAPH_MARGIN.left + plotW}
+              y1={syOf(t)}
+              y2={syOf(t)}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={GRAPH_MARGIN.left - 8}
+              y={syOf(t) + 4}
+              textAnchor="end"
+              fontSize="11"
+              fill="#6b7280"
+            >
+              {formatGraphNumber(t, yTicks.step)}
+            </text>
+          </g>
+        ))}
+        {/* Axes */}
+        <line
+          x1={GRAPH_MARGIN.left}
+          x2={GRAPH_MARGIN.left + plotW}
+          y1={xAxisY}
+          y2={xAxisY}
+          stroke="#374151"
+        />
+        <line
+          x1={yAxisX}
+          x2={yAxisX}
+          y1={GRAPH_MARGIN.top}
+          y2={GRAPH_MARGIN.top + plotH}
+          stroke="#374151"
+        />
+        {/* Series */}
+        <g clipPath="url(#graph-plot-area)">
+          {type === "line" && (
+            <path d={linePath} fill="none" stroke="#7c3aed" strokeWidth="2" />
+          )}
+          {type === "bar" &&
+            points.map((p, idx) => (
+              <rect
+                key={idx}
+                x={sxOf(p.x) - barWidth / 2}
+                y={Math.min(syOf(p.y), syOf(0))}
+                width={barWidth}
+                height={Math.abs(syOf(p.y) - syOf(0))}
+                fill={hover === idx ? "#6d28d9" : "#a78bfa"}
+              />
+            ))}
+          {type !== "bar" &&
+            points.map((p, idx) => (
+              <circle
+                key={idx}
+                cx={sxOf(p.x)}
+                cy={syOf(p.y)}
+                r={type === "scatter" ? 4 : 2.5}
+                fill="#2563eb"
+              />
+            ))}
+        </g>
+        {/* Hover readout */}
+        {hoverPoint && (
+          <g pointerEvents="none">
+            <circle
+              cx={sxOf(hoverPoint.x)}
+              cy={syOf(hoverPoint.y)}
+              r="6"
+              fill="none"
+              stroke="#dc2626"
+              strokeWidth="2"
+            />
+            <rect
+              x={Math.min(sxOf(hoverPoint.x) + 10, GRAPH_WIDTH - 130)}
+              y={Math.max(syOf(hoverPoint.y) - 30, 4)}
+              width="120"
+              height="22"
+              rx="4"
+              fill="#111827"
+              opacity="0.85"
+            />
+            <text
+              x={Math.min(sxOf(hoverPoint.x) + 70, GRAPH_WIDTH - 70)}
+              y={Math.max(syOf(hoverPoint.y) - 15, 19)}
+              textAnchor="middle"
+              fontSize="12"
+              fill="#fff"
+            >
+              ({formatGraphNumber(hoverPoint.x, xTicks.step / 10)},{" "}
+              {formatGraphNumber(hoverPoint.y, yTicks.step / 10)})
+            </text>
+          </g>
+        )}
+      </svg>
+      <p className="text-xs text-gray-400 mt-1">
+        Scroll to zoom, drag to pan, hover a point for its coordinates.
+      </p>
+    </div>
+  );
+}
+
+// Hook: Whether the browser lays out MathML (checked after mount so server and client markup match)
+function useMathMLSupport() {
+  const [supported, setSupported] = useState(false);
+  useEffect(() => {
+    setSupported(typeof window !== "undefined" && "MathMLElement" in window);
+  }, []);
+  return supported;
+}
+
+// MathML Node Component: renders one node of the parseLatex layout tree
+function MathMLNode({ node }) {
+  if (!node) return null;
+  switch (node.k) {
+    case "num":
+      return <mn>{node.v}</mn>;
+    case "id":
+      return node.normal || node.v.length > 1 ? (
+        <mi mathvariant="normal">{node.v}</mi>
+      ) : (
+        <mi>{node.v}</mi>
+      );
+    case "op":
+      return <mo>{node.v}</mo>;
+    case "text":
+      return <mtext>{`\u00a0${node.v}\u00a0`}</mtext>;
+    case "space":
+      return <mspace width="0.3em" />;
+    case "row":
+      return (
+        <mrow>
+          {node.items.map((item, idx) => (
+            <MathMLNode key={idx} node={item} />
+          ))}
+        </mrow>
+      );
+    case "frac":
+      return (
+        <mfrac linethickness={node.noLine ? "0" : undefined}>
+          <MathMLNode node={node.num} />
+          <MathMLNode node={node.den} />
+        </mfrac>
+      );
+    case "sqrt":
+      return node.index ? (
+        <mroot>
+          <MathMLNode node={node.body} />
+          <MathMLNode node={node.index} />
+        </mroot>
+      ) : (
+        <msqrt>
+          <MathMLNode node={node.body} />
+        </msqrt>
+      );
+    case "bigop":
+      return <mo largeop="true">{node.v}</mo>;
+    case "scripts": {
+      // Sums, products and limits take their scripts above/below; integrals keep them at the side
+      const limits =
+        (node.base.k === "bigop" && !"∫∬∭∮".includes(node.base.v)) ||
+        (node.base.k === "id" && node.base.v === "lim");
+      const base = <MathMLNode node={node.base} />;
+      if (node.sub && node.sup) {
+        const Tag = limits ? "munderover" : "msubsup";
+        return (
+          <Tag>
+            {base}
+            <MathMLNode node={node.sub} />
+            <MathMLNode node={node.sup} />
+          </Tag>
+        );
+      }
+      if (node.sub) {
+        const Tag = limits ? "munder" : "msub";
+        return (
+          <Tag>
+            {base}
+            <MathMLNode node={node.sub} />
+          </Tag>
+        );
+      }
+      return (
+        <msup>
+          {base}
+          <MathMLNode node={node.sup} />
+        </msup>
+      );
+    }
+    case "fence":
+      return (
+        <mrow>
+          {node.open && <mo stretchy="true">{node.open}</mo>}
+          <MathMLNode node={node.body} />
+          {node.close && <mo stretchy="true">{node.close}</mo>}
+        </mrow>
+      );
+    case "matrix":
+      return (
+        <mrow>
+          {node.open && <mo stretchy="true">{node.open}</mo>}
+          <mtable columnalign={node.cases ? "left" : undefined}>
+            {node.rows.map((cells, ridx) => (
+              <mtr key={ridx}>
+                {cells.map((cell, cidx) => (
+                  <mtd key={cidx}>
+                    <MathMLNode node={cell} />
+                  </mtd>
+                ))}
+              </mtr>
+            ))}
+          </mtable>
+          {node.close && <mo stretchy="true">{node.close}</mo>}
+        </mrow>
+      );
+    case "accent":
+      return (
+        <mover accent="true">
+          <MathMLNode node={node.body} />
+          <mo>{node.accent}</mo>
+        </mover>
+      );
+    default:
+      return null;
+  }
+}
+
+// Math Formula Component: typeset formula, or its plain-text form where MathML is unavailable
+function MathFormula({ latex, display = false }) {
+  const mathml = useMathMLSupport();
+  const plain = latexToPlain(latex);
+  if (!mathml) return <span>{plain}</span>;
+  return (
+    <math display={display ? "block" : "inline"} alttext={plain}>
+      <MathMLNode node={parseLatex(latex)} />
+    </math>
+  );
+}
+
+// Math Text Component: prose with inline $...$ math, or a whole formula when mode="math"
+function MathText({ text, mode = "text" }) {
+  if (!text) return null;
+  const str = String(text);
+  const segments =
+    mode === "math" && !/\$|\\\(|\\\[/.test(str)
+      ? [{ math: true, display: false, text: str }]
+      : splitMathSegments(str);
+  return (
+    <>
+      {segments.map((seg, idx) =>
+        seg.math ? (
+          <MathFormula key={idx} latex={seg.text} display={seg.display} />
+        ) : (
+          <React.Fragment key={idx}>
+            {/\\[a-zA-Z]/.test(seg.text) ? latexToPlain(seg.text) : seg.text}
+          </React.Fragment>
+        )
+      )}
+    </>
+  );
+}
+
+// Copy Math Button: copies a formula as plain text
+function CopyMathButton({ text }) {
+  const [status, setStatus] = useState(""); // "" | "copied" | "failed"
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(latexToPlain(text));
+      setStatus("copied");
+    } catch {
+      setStatus("failed");
+    }
+    setTimeout(() => setStatus(""), 1500);
+  };
+  const label =
+    status === "failed"
+      ? "Copy failed (clipboard blocked)"
+      : "Copy as plain text";
+  return (
+    <button
+      onClick={handleCopy}
+      className="ml-2 text-sm text-gray-400 hover:text-gray-600"
+      aria-label={label}
+      title={label}
+    >
+      <i
+        className={`fas ${
+          status === "copied"
+            ? "fa-check"
+            : status === "failed"
+            ? "fa-exclamation-triangle text-red-500"
+            : "fa-copy"
+        }`}
+      ></i>
+    </button>
+  );
+}
+
+// Math Input Component: equation textarea with a symbol palette, Alt shortcuts and a live preview
+// Each palette entry inserts `before` + selection + `after`; the caret lands after the selection,
+// and Tab jumps to the next empty {} slot.
+const MATH_INPUT_PALETTE = [
+  {
+    group: "Structures",
+    items: [
+      {
+        preview: "\\frac{a}{b}",
+        title: "Fraction",
+        before: "\\frac{",
+        after: "}{}",
+        code: "Slash",
+        key: "/",
+      },
+      {
+        preview: "\\sqrt{x}",
+        title: "Square root",
+        before: "\\sqrt{",
+        after: "}",
+        code: "KeyR",
+        key: "R",
+      },
+      {
+        preview: "\\sqrt[n]{x}",
+        title: "nth root",
+        before: "\\sqrt[]{",
+        after: "}",
+      },
+      {
+        preview: "x^{n}",
+        title: "Power",
+        before: "^{",
+        after: "}",
+        code: "Digit6",
+        key: "6",
+      },
+      {
+        preview: "x_{n}",
+        title: "Subscript",
+        before: "_{",
+        after: "}",
+        code: "Minus",
+        key: "-",
+      },
+      {
+        preview: "|x|",
+        title: "Absolute value",
+        before: "\\left|",
+        after: "\\right|",
+      },
+      {
+        preview: "(x)",
+        title: "Parentheses",
+        before: "\\left(",
+        after: "\\right)",
+        code: "Digit9",
+        key: "9",
+      },
+    ],
+  },
+  {
+    group: "Calculus",
+    items: [
+      {
+        preview: "\\int",
+        title: "Integral",
+        before: "\\int ",
+        after: " \\, dx",
+        code: "KeyI",
+        key: "I",
+      },
+      {
+        preview: "\\int_{a}^{b}",
+        title: "Definite integral",
+        before: "\\int_{}^{} ",
+        after: " \\, dx",
+      },
+      {
+        preview: "\\frac{d}{dx}",
+        title: "Derivative",
+        before: "\\frac{d}{dx}\\left(",
+        after: "\\right)",
+        code: "Quote",
+        key: "'",
+      },
+      {
+        preview: "\\lim_{x \\to a}",
+        title: "Limit",
+        before: "\\lim_{x \\to } ",
+        after: "",
+        code: "KeyL",
+        key: "L",
+      },
+      {
+        preview: "\\sum",
+        title: "Sum",
+        before: "\\sum_{i=1}^{n} ",
+        after: "",
+        code: "KeyU",
+        key: "U",
+      },
+    ],
+  },
+  {
+    group: "Matrices",
+    items: [
+      {
+        preview: "\\begin{pmatrix}a&b\\\\c&d\\end{pmatrix}",
+        title: "2×2 matrix",
+        before: "\\begin{pmatrix} ",
+        after: " & \\\\ & \\end{pmatrix}",
+        code: "KeyM",
+        key: "M",
+      },
+      {
+        preview: "\\begin{pmatrix}a&b&c\\\\d&e&f\\\\g&h&i\\end{pmatrix}",
+        title: "3×3 matrix",
+        before: "\\begin{pmatrix} ",
+        after: " & & \\\\ & & \\\\ & & \\end{pmatrix}",
+      },
+      {
+        preview: "\\begin{vmatrix}a&b\\\\c&d\\end{vmatrix}",
+        title: "Determinant",
+        before: "\\begin{vmatrix} ",
+        after: " & \\\\ & \\end{vmatrix}",
+      },
+    ],
+  },
+  {
+    group: "Operators",
+    items: [
+      { preview: "\\pm", title: "Plus or minus", before: "\\pm " },
+      { preview: "\\times", title: "Times", before: "\\times " },
+      { preview: "\\div", title: "Divide", before: "\\div " },
+      { preview: "\\le", title: "Less than or equal", before: "\\le " },
+      { preview: "\\ge", title: "Greater than or equal", before: "\\ge " },
+      { preview: "\\neq", title: "Not equal", before: "\\neq " },
+      { preview: "\\infty", title: "Infinity", before: "\\infty " },
+    ],
+  },
+  {
+    group: "Greek",
+    items: [
+      {
+        preview: "\\alpha",
+        title: "alpha",
+        before: "\\alpha ",
+        code: "KeyA",
+        key: "A",
+      },
+      {
+        preview: "\\beta",
+        title: "beta",
+        before: "\\beta ",
+        code: "KeyB",
+        key: "B",
+      },
+      { preview: "\\gamma", title: "gamma", before: "\\gamma " },
+      { preview: "\\delta", title: "delta", before: "\\delta " },
+      {
+        preview: "\\theta",
+        title: "theta",
+        before: "\\theta ",
+        code: "KeyT",
+        key: "T",
+      },
+      { preview: "\\lambda", title: "lambda", before: "\\lambda " },
+      { preview: "\\mu", title: "mu", before: "\\mu " },
+      { preview: "\\pi", title: "pi", before: "\\pi ", code: "KeyP", key: "P" },
+      { preview: "\\sigma", title: "sigma", before: "\\sigma " },
+      { preview: "\\phi", title: "phi", before: "\\phi " },
+      { preview: "\\omega", title: "omega", before: "\\omega " },
+      { preview: "\\Delta", title: "Delta", before: "\\Delta " },
+    ],
+  },
+];
+
+function MathInput({ value, onChange, onClear }) {
+  const textareaRef = useRef(null);
+  const [showPalette, setShowPalette] = useState(true);
+
+  function insertSnippet(item) {
+    const el = textareaRef.current;
+    const start = el ? el.selectionStart : value.length;
+    const end = el ? el.selectionEnd : value.length;
+    const selected = value.slice(start, end);
+    onChange(
+      value.slice(0, start) +
+        item.before +
+        selected +
+        (item.after || "") +
+        value.slice(end)
+    );
+    const caret = start + item.before.length + selected.length;
+    requestAnimationFrame(() => {
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(caret, caret);
+    });
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "Tab" && !e.shiftKey) {
+      const el = e.target;
+      const slot = value.indexOf("{}", el.selectionEnd);
+      if (slot !== -1) {
+        e.preventDefault();
+        el.setSelectionRange(slot + 1, slot + 1);
+      }
+      return;
+    }
+    // e.code keeps shortcuts working where Alt/Option changes the typed character
+    if (!e.altKey || e.ctrlKey || e.metaKey) return;
+    for (const { items } of MATH_INPUT_PALETTE) {
+      const item = items.find((entry) => entry.code === e.code);
+      if (item) {
+        e.preventDefault();
+        insertSnippet(item);
+        return;
+      }
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex justify-end mb-2">
+        <button
+          onClick={() => setShowPalette((v) => !v)}
+          className="text-sm text-purple-600 hover:text-purple-800"
+          aria-expanded={showPalette}
+          aria-controls="math-input-palette"
+        >
+          <i className="fas fa-keyboard mr-1"></i>
+          {showPalette ? "Hide Symbols" : "Show Symbols"}
+        </button>
+      </div>
+      {showPalette && (
+        <div
+          id="math-input-palette"
+          className="mb-3 p-3 bg-gray-50 rounded-xl border space-y-2"
+          role="toolbar"
+          aria-label="Math symbols"
+        >
+          {MATH_INPUT_PALETTE.map(({ group, items }) => (
+            <div key={group} className="flex flex-wrap items-center gap-1">
+              <span className="w-24 text-xs font-semibold text-gray-500 uppercase">
+                {group}
+              </span>
+              {items.map((item) => {
+                const label = item.key
+                  ? `${item.title} (Alt+${item.key})`
+                  : item.title;
+                return (
+                  <button
+                    key={item.title}
+                    onClick={() => insertSnippet(item)}
+                    className="min-w-[2.5rem] px-2 py-1 bg-white border rounded hover:bg-purple-50 hover:border-purple-300"
+                    title={label}
+                    aria-label={label}
+                  >
+                    <MathFormula latex={item.preview} />
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          className="w-full p-4 border rounded-xl focus:ring-2 focus:ring-purple-400 focus:border-transparent text-lg font-mono"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Type your mathematical problem here (e.g., '2x + 5 = 15' or '1/2 + 3/4' or 'solve for x: x^2 - 4 = 12'), or use the symbols above"
+          rows="3"
+          aria-label="Math Problem Input"
+        />
+        {value && (
+          <button
+            onClick={onClear}
+            className="absolute top-2 right-2 text-gray-400 hover:text-gray-600"
+            aria-label="Clear input"
+          >
+            <i className="fas fa-times-circle"></i>
+          </button>
+        )}
+      </div>
+      {value.trim() && (
+        <div className="mt-2 p-3 bg-purple-50 rounded-xl" aria-live="polite">
+          <span className="text-xs font-semibold text-purple-600 uppercase mr-2">
+            Preview
+          </span>
+          <span className="text-lg">
+            <MathText text={value} mode="math" />
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Handwriting Pad Component: write a problem with a finger, stylus or mouse. Strokes are
+// kept as point lists, so undo, redo and clear are just steps through saved stroke lists.
+// "Recognize" crops the drawing to the ink and passes it on as a PNG.
+const HANDWRITING_WIDTH = 800;
+const HANDWRITING_HEIGHT = 300;
+const HANDWRITING_MARGIN = 24; // px of white kept around the ink when cropping
+const HANDWRITING_TOOLS = {
+  pen: { width: 4, color: "#111827" },
+  eraser: { width: 28, color: "#ffffff" },
+};
+const HANDWRITING_PROMPT =
+  'This is a handwritten math problem. Write it as plain text exactly as written, for example "Solve for x: 2x + 5 = 15". Use ^ for powers, sqrt() for square roots and / for fractions. Only return the problem, nothing else.';
+
+// Utility: Draw strokes, shifted so (offsetX, offsetY) is the top-left corner
+function drawStrokes(ctx, strokes, offsetX = 0, offsetY = 0) {
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  for (const stroke of strokes) {
+    const points = stroke.points.map(([x, y]) => [x - offsetX, y - offsetY]);
+    ctx.strokeStyle = HANDWRITING_TOOLS[stroke.tool].color;
+    ctx.lineWidth = stroke.width;
+    ctx.beginPath();
+    ctx.moveTo(points[0][0], points[0][1]);
+    if (points.length === 1) ctx.lineTo(points[0][0] + 0.1, points[0][1]);
+    // Curves through the midpoints smooth out the sampled pointer positions
+    for (let i = 1; i < points.length - 1; i++) {
+      ctx.quadraticCurveTo(
+        points[i][0],
+        points[i][1],
+        (points[i][0] + points[i + 1][0]) / 2,
+        (points[i][1] + points[i + 1][1]) / 2
+      );
+    }
+    if (points.length > 1) {
+      ctx.lineTo(points[points.length - 1][0], points[points.length - 1][1]);
+    }
+    ctx.stroke();
+  }
+}
+
+// Utility: [left, top, right, bottom] around the pen strokes plus a margin, or null when
+// nothing has been written
+function inkBounds(strokes) {
+  let bounds = null;
+  for (const stroke of strokes) {
+    if (stroke.tool !== "pen") continue;
+    for (const [x, y] of stroke.points) {
+      const r = stroke.width / 2;
+      bounds = bounds
+        ? [
+            Math.min(bounds[0], x - r),
+            Math.min(bounds[1], y - r),
+            Math.max(bounds[2], x + r),
+            Math.max(bounds[3], y + r),
+          ]
+        : [x - r, y - r, x + r, y + r];
+    }
+  }
+  if (!bounds) return null;
+  return [
+    Math.max(0, Math.floor(bounds[0] - HANDWRITING_MARGIN)),
+    Math.max(0, Math.floor(bounds[1] - HANDWRITING_MARGIN)),
+    Math.min(HANDWRITING_WIDTH, Math.ceil(bounds[2] + HANDWRITING_MARGIN)),
+    Math.min(HANDWRITING_HEIGHT, Math.ceil(bounds[3] + HANDWRITING_MARGIN)),
+  ];
+}
+
+function HandwritingPad({ onRecognize, recognizing }) {
+  const canvasRef = useRef(null);
+  const currentRef = useRef(null); // the stroke being drawn
+  const [tool, setTool] = useState("pen");
+  const [history, setHistory] = useState([[]]);
+  const [step, setStep] = useState(0);
+  const strokes = history[step];
+
+  // Redraw whenever the stroke list changes (new stroke, undo, redo, clear)
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, HANDWRITING_WIDTH, HANDWRITING_HEIGHT);
+    drawStrokes(ctx, strokes);
+  }, [strokes]);
+
+  const commit = (next) => {
+    setHistory([...history.slice(0, step + 1), next]);
+    setStep(step + 1);
+  };
+  const pointAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [
+      ((e.clientX - rect.left) / rect.width) * HANDWRITING_WIDTH,
+      ((e.clientY - rect.top) / rect.height) * HANDWRITING_HEIGHT,
+    ];
+  };
+  const startStroke = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    // A stylus draws thicker the harder it is pressed
+    const pressure = e.pointerType === "pen" && e.pressure ? e.pressure : 0.5;
+    currentRef.current = {
+      tool,
+      width: HANDWRITING_TOOLS[tool].width * (0.5 + pressure),
+      points: [pointAt(e)],
+    };
+    drawStrokes(canvasRef.current.getContext("2d"), [currentRef.current]);
+  };
+  const extendStroke = (e) => {
+    const stroke = currentRef.current;
+    if (!stroke) return;
+    const last = stroke.points[stroke.points.length - 1];
+    const point = pointAt(e);
+    stroke.points.push(point);
+    // Only the new segment is drawn while writing; the full redraw smooths it afterwards
+    drawStrokes(canvasRef.current.getContext("2d"), [
+      { ...stroke, points: [last, point] },
+    ]);
+  };
+  const endStroke = () => {
+    if (!currentRef.current) return;
+    commit([...strokes, currentRef.current]);
+    currentRef.current = null;
+  };
+  const recognize = () => {
+    const [left, top, right, bottom] = inkBounds(strokes);
+    const canvas = document.createElement("canvas");
+    canvas.width = right - left;
+    canvas.height = bottom - top;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawStrokes(ctx, strokes, left, top);
+    canvas.toBlob((blob) => {
+      if (blob) {
+        onRecognize(new File([blob], "Handwriting.png", { type: "image/png" }));
+      }
+    }, "image/png");
+  };
+  const toolButton = (name, icon, label) => (
+    <button
+      onClick={() => setTool(name)}
+      aria-pressed={tool === name}
+      className={`px-3 py-1 rounded ${
+        tool === name ? "bg-purple-600 text-white" : "bg-gray-100 text-gray-700"
+      }`}
+    >
+      <i className={`fas ${icon} mr-1`}></i>
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="mt-4 p-4 border rounded-xl bg-gray-50 animate-fade-in">
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        {toolButton("pen", "fa-pen", "Pen")}
+        {toolButton("eraser", "fa-eraser", "Eraser")}
+        <button
+          onClick={() => setStep(step - 1)}
+          disabled={step === 0}
+          className="px-3 py-1 rounded bg-gray-100 text-gray-700 disabled:opacity-50"
+          aria-label="Undo"
+        >
+          <i className="fas fa-undo"></i>
+        </button>
+        <button
+          onClick={() => setStep(step + 1)}
+          disabled={step === history.length - 1}
+          className="px-3 py-1 rounded bg-gray-100 text-gray-700 disabled:opacity-50"
+          aria-label="Redo"
+        >
+          <i className="fas fa-redo"></i>
+        </button>
+        <button
+          onClick={() => commit([])}
+          disabled={!strokes.length}
+          className="px-3 py-1 rounded bg-gray-100 text-gray-700 disabled:opacity-50"
+        >
+          <i className="fas fa-trash mr-1"></i>Clear
+        </button>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={HANDWRITING_WIDTH}
+        height={HANDWRITING_HEIGHT}
+        onPointerDown={startStroke}
+        onPointerMove={extendStroke}
+        onPointerUp={endStroke}
+        onPointerCancel={endStroke}
+        className={`w-full rounded-lg border bg-white touch-none ${
+          tool === "pen" ? "cursor-crosshair" : "cursor-cell"
+        }`}
+        role="img"
+        aria-label="Handwriting area: write your problem here"
+      />
+      <div className="mt-3 flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          Write one problem, as large and clear as you can.
+        </p>
+        <button
+          onClick={recognize}
+          disabled={!inkBounds(strokes) || recognizing}
+          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          {recognizing ? (
+            <span>
+              <i className="fas fa-spinner fa-spin mr-2"></i>Reading...
+            </span>
+          ) : (
+            <span>
+              <i className="fas fa-magic mr-2"></i>Recognize
+            </span>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Image Editor Component: rotate and crop an uploaded photo, and choose the automatic
+// clean-up steps. Drag on the preview to crop; the edits are applied when it is uploaded.
+const IMAGE_EDITOR_SIZE = 480; // px, longest side of the preview
+
+function ImageEditor({ file, edits, onChange, onClose }) {
+  const canvasRef = useRef(null);
+  const [dragStart, setDragStart] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    createImageBitmap(file)
+      .then((bitmap) => {
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+        const [width, height] = rotatedSize(
+          bitmap.width,
+          bitmap.height,
+          edits.rotation
+        );
+        const scale = Math.min(1, IMAGE_EDITOR_SIZE / Math.max(width, height));
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext("2d");
+        ctx.scale(scale, scale);
+        drawRotated(ctx, bitmap, edits.rotation, bitmap.width, bitmap.height);
+        bitmap.close();
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [file, edits.rotation]);
+
+  const pointAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return [
+      clamp((e.clientX - rect.left) / rect.width),
+      clamp((e.clientY - rect.top) / rect.height),
+    ];
+  };
+  const rotate = (turn) =>
+    onChange({ ...edits, rotation: (edits.rotation + turn) % 360, crop: null });
+  const crop = edits.crop;
+
+  return (
+    <div className="mt-4 p-4 border rounded-xl bg-gray-50 text-left animate-fade-in">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-semibold text-gray-700">
+          <i className="fas fa-crop-alt mr-2"></i>Edit {file.name}
+        </h4>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700"
+        >
+          Done
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-2">
+        Drag on the image to crop it to the problems you want solved.
+      </p>
+      <div
+        className="relative inline-block overflow-hidden cursor-crosshair select-none touch-none"
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          setDragStart(pointAt(e));
+        }}
+        onPointerMove={(e) => {
+          if (!dragStart) return;
+          const [x, y] = pointAt(e);
+          onChange({
+            ...edits,
+            crop: [
+              Math.min(dragStart[0], x),
+              Math.min(dragStart[1], y),
+              Math.max(dragStart[0], x),
+              Math.max(dragStart[1], y),
+            ],
+          });
+        }}
+        onPointerUp={() => {
+          setDragStart(null);
+          // A click rather than a drag clears the crop
+          if (crop && (crop[2] - crop[0] < 0.03 || crop[3] - crop[1] < 0.03)) {
+            onChange({ ...edits, crop: null });
+          }
+        }}
+      >
+        <canvas
+          ref={canvasRef}
+          className="block max-w-full"
+          style={{
+            filter: edits.enhance ? "grayscale(1) contrast(1.5)" : "none",
+          }}
+          role="img"
+          aria-label={`Preview of ${file.name}`}
+        />
+        {crop && (
+          <div
+            className="absolute border-2 border-purple-500 pointer-events-none"
+            style={{
+              left: `${crop[0] * 100}%`,
+              top: `${crop[1] * 100}%`,
+              width: `${(crop[2] - crop[0]) * 100}%`,
+              height: `${(crop[3] - crop[1]) * 100}%`,
+              boxShadow: "0 0 0 9999px rgba(0, 0, 0, 0.4)",
+            }}
+          ></div>
+        )}
+      </div>
+      <div className="mt-3 flex flex-wrap items-center gap-4 text-sm">
+        <button
+          onClick={() => rotate(270)}
+          className="text-gray-600 hover:text-gray-800"
+        >
+          <i className="fas fa-undo mr-1"></i>Rotate left
+        </button>
+        <button
+          onClick={() => rotate(90)}
+          className="text-gray-600 hover:text-gray-800"
+        >
+          <i className="fas fa-redo mr-1"></i>Rotate right
+        </button>
+        <button
+          onClick={() => onChange({ ...edits, crop: null })}
+          disabled={!crop}
+          className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+        >
+          <i className="fas fa-expand mr-1"></i>Clear crop
+        </button>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={edits.deskew}
+            onChange={(e) => onChange({ ...edits, deskew: e.target.checked })}
+          />
+          Straighten automatically
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={edits.enhance}
+            onChange={(e) => onChange({ ...edits, enhance: e.target.checked })}
+          />
+          Black & white, high contrast
+        </label>
+      </div>
+    </div>
+  );
+}
+
+// Camera Capture Component: live camera view with a frame to line the problems up in.
+// Each capture is cropped to the frame and added as a page; the camera stays open for more.
+const CAMERA_FRAME = [0.05, 0.15, 0.95, 0.85]; // [left, top, right, bottom] of the view
+
+function CameraCapture({ onCapture, onClose, onError }) {
+  const videoRef = useRef(null);
+  const [ready, setReady] = useState(false);
+  const [captured, setCaptured] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    let stream = null;
+    navigator.mediaDevices
+      .getUserMedia({
+        video: {
+          facingMode: { ideal: "environment" },
+          width: { ideal: 1920 },
+          height: { ideal: 1080 },
+        },
+        audio: false,
+      })
+      .then((s) => {
+        stream = s;
+        // Closed before the camera started: the cleanup below has already run
+        if (cancelled) return s.getTracks().forEach((track) => track.stop());
+        videoRef.current.srcObject = s;
+        return videoRef.current.play().then(() => setReady(true));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        onError(
+          err.name === "NotAllowedError"
+            ? "Failed to open the camera: access was blocked. Allow it in your browser settings or upload a photo instead."
+            : err.name === "NotFoundError"
+            ? "Failed to open the camera: no camera was found."
+            : `Failed to open the camera. ${err.message}`
+        );
+        onClose();
+      });
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+    // eslint-disable-next-line
+  }, []);
+
+  const capture = () => {
+    const video = videoRef.current;
+    const [left, top, right, bottom] = CAMERA_FRAME;
+    const x = left * video.videoWidth;
+    const y = top * video.videoHeight;
+    const canvas = document.createElement("canvas");
+    canvas.width = (right - left) * video.videoWidth;
+    canvas.height = (bottom - top) * video.videoHeight;
+    canvas
+      .getContext("2d")
+      .drawImage(
+        video,
+        x,
+        y,
+        canvas.width,
+        canvas.height,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+      );
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) return;
+        setCaptured((n) => n + 1);
+        onCapture(
+          new File([blob], `Photo ${captured + 1}.jpg`, { type: "image/jpeg" })
+        );
+      },
+      "image/jpeg",
+      IMAGE_JPEG_QUALITY
+    );
+  };
+
+  return (
+    <div className="mt-4 p-4 border rounded-xl bg-gray-900 text-white animate-fade-in">
+      <div className="relative overflow-hidden rounded-lg">
+        <video ref={videoRef} playsInline muted className="block w-full" />
+        <div
+          className="absolute border-2 border-dashed border-white rounded pointer-events-none"
+          style={{
+            left: `${CAMERA_FRAME[0] * 100}%`,
+            top: `${CAMERA_FRAME[1] * 100}%`,
+            width: `${(CAMERA_FRAME[2] - CAMERA_FRAME[0]) * 100}%`,
+            height: `${(CAMERA_FRAME[3] - CAMERA_FRAME[1]) * 100}%`,
+            boxShadow: "0 0 0 9999px rgba(0, 0, 0, 0.5)",
+          }}
+        ></div>
+        {!ready && (
+          <p className="absolute inset-0 flex items-center justify-center">
+            <i className="fas fa-spinner fa-spin mr-2"></i>Starting the
+            camera...
+          </p>
+        )}
+      </div>
+      <p className="mt-2 text-sm text-gray-300 text-center">
+        Fit the problems inside the frame and hold the phone flat above the
+        page.
+        {captured > 0 && ` ${captured} taken so far.`}
+      </p>
+      <div className="mt-3 flex justify-center gap-4">
+        <button
+          onClick={capture}
+          disabled={!ready}
+          className="px-6 py-2 bg-white text-gray-900 rounded-full font-semibold hover:bg-gray-200 disabled:opacity-50"
+        >
+          <i className="fas fa-camera mr-2"></i>Capture
+        </button>
+        <button
+          onClick={onClose}
+          className="px-6 py-2 border border-white rounded-full hover:bg-gray-800"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Cropped Image Component: the part of a page image inside box ([left, top, right, bottom], 0-1)
+function CroppedImage({ src, box, alt }) {
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    if (!box) return;
+    const img = new Image();
+    img.onload = () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      // A little margin, since the model's boxes tend to be tight
+      const pad = 0.01;
+      const x = Math.max(0, box[0] - pad) * img.naturalWidth;
+      const y = Math.max(0, box[1] - pad) * img.naturalHeight;
+      const width = Math.min(1, box[2] + pad) * img.naturalWidth - x;
+      const height = Math.min(1, box[3] + pad) * img.naturalHeight - y;
+      canvas.width = width;
+      canvas.height = height;
+      canvas
+        .getContext("2d")
+        .drawImage(img, x, y, width, height, 0, 0, width, height);
+    };
+    img.src = src;
+  }, [src, box]);
+  return box ? (
+    <canvas
+      ref={canvasRef}
+      role="img"
+      aria-label={alt}
+      className="max-h-24 max-w-xs rounded border bg-white"
+    />
+  ) : (
+    <img src={src} alt={alt} className="max-h-24 max-w-xs rounded border" />
+  );
+}
+
+// Uncertain Text Component: recognized text with the characters the model was unsure of marked
+function UncertainText({ text, spans }) {
+  const parts = [];
+  let at = 0;
+  spans.forEach((span, idx) => {
+    if (span.start > at) parts.push(text.slice(at, span.start));
+    parts.push(
+      <mark
+        key={idx}
+        className="bg-yellow-200 rounded px-0.5"
+        title={span.note || "Check this"}
+      >
+        {text.slice(span.start, span.end)}
+      </mark>
+    );
+    at = span.end;
+  });
+  parts.push(text.slice(at));
+  return <span className="font-mono">{parts}</span>;
+}
+
+// Worksheet Component: problems found in an upload, shown next to the part of the page they
+// were read from for review. Nothing is solved until the student confirms; several problems
+// are solved as a batch, with the status of each shown while it runs.
+const WORKSHEET_STATUS = {
+  pending: { label: "Not solved", className: "bg-gray-100 text-gray-600" },
+  solving: { label: "Solving...", className: "bg-blue-100 text-blue-700" },
+  solved: { label: "Solved", className: "bg-green-100 text-green-700" },
+  failed: { label: "Failed", className: "bg-red-100 text-red-700" },
+};
+
+function WorksheetPanel({
+  problems,
+  solving,
+  onChange,
+  onSolveAll,
+  onStop,
+  onView,
+}) {
+  const solved = problems.filter((item) => item.status === "solved").length;
+  const failed = problems.filter((item) => item.status === "failed").length;
+  const unsure = problems.reduce((n, item) => n + item.spans.length, 0);
+  const single = problems.length === 1;
+  const editProblem = (item, text) =>
+    onChange(
+      problems.map((other) =>
+        other.id === item.id
+          ? {
+              ...other,
+              text,
+              spans: shiftSpans(other.spans, other.text, text),
+              status: "pending",
+              error: "",
+              entry: null,
+            }
+          : other
+      )
+    );
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h3 className="text-xl font-bold text-gray-800">
+          <i className="fas fa-tasks mr-2"></i>
+          {single ? "Check the problem" : "Worksheet"}
+          {!single && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {problems.length} problems, {solved} solved
+              {failed > 0 && `, ${failed} failed`}
+            </span>
+          )}
+        </h3>
+        <div className="flex gap-2">
+          {solving ? (
+            <button
+              onClick={onStop}
+              className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600"
+            >
+              <i className="fas fa-stop mr-2"></i>Stop
+            </button>
+          ) : (
+            <button
+              onClick={onSolveAll}
+              disabled={solved === problems.length}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              <i className="fas fa-play mr-2"></i>
+              {single ? "Solve" : solved ? "Solve remaining" : "Solve all"}
+            </button>
+          )}
+          <button
+            onClick={() => onChange([])}
+            disabled={solving}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            Clear list
+          </button>
+        </div>
+      </div>
+      {unsure > 0 && (
+        <p className="mb-4 text-sm text-yellow-800 bg-yellow-50 p-2 rounded">
+          <i className="fas fa-search mr-2"></i>
+          {unsure === 1
+            ? "One part was hard to read. It is highlighted below;"
+            : `${unsure} parts were hard to read. They are highlighted below;`}{" "}
+          compare with the image and correct them before solving.
+        </p>
+      )}
+      <ol className="space-y-3">
+        {problems.map((item) => (
+          <li key={item.id} className="flex items-start gap-3">
+            <span className="w-10 pt-2 text-right font-semibold text-gray-500">
+              {item.number ? `${item.number}.` : "•"}
+            </span>
+            <div className="flex-1 flex flex-wrap gap-3">
+              {item.image && (
+                <CroppedImage
+                  src={item.image}
+                  box={item.box}
+                  alt={`Problem ${item.number} as uploaded`}
+                />
+              )}
+              <div className="flex-1 min-w-[14rem]">
+                <input
+                  type="text"
+                  value={item.text}
+                  onChange={(e) => editProblem(item, e.target.value)}
+                  disabled={solving}
+                  className="w-full p-2 border rounded-lg font-mono"
+                  aria-label={`Problem ${item.number || ""}`}
+                />
+                {item.spans.length > 0 && (
+                  <p className="mt-1 text-sm text-gray-700">
+                    <UncertainText text={item.text} spans={item.spans} />
+                  </p>
+                )}
+                <div className="mt-1 flex flex-wrap items-center gap-2 text-xs">
+                  <span
+                    className={`px-2 py-0.5 rounded-full ${
+                      WORKSHEET_STATUS[item.status].className
+                    }`}
+                  >
+                    {WORKSHEET_STATUS[item.status].label}
+                  </span>
+                  {item.source && (
+                    <span className="text-gray-400">{item.source}</span>
+                  )}
+                  {item.error && (
+                    <span className="text-red-600">{item.error}</span>
+                  )}
+                </div>
+              </div>
+            </div>
+            {item.entry && (
+              <button
+                onClick={() => onView(item.entry)}
+                className="pt-2 text-purple-600 hover:text-purple-800"
+              >
+                View
+              </button>
+            )}
+            <button
+              onClick={() =>
+                onChange(problems.filter((other) => other.id !== item.id))
+              }
+              disabled={solving}
+              className="pt-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+              aria-label="Remove problem"
+            >
+              <i className="fas fa-times"></i>
+            </button>
+          </li>
+        ))}
+      </ol>
+      <button
+        onClick={() =>
+          onChange([
+            ...problems,
+            worksheetProblem({ number: String(problems.length + 1) }),
+          ])
+        }
+        disabled={solving}
+        className="mt-3 text-sm text-purple-600 hover:text-purple-800 disabled:opacity-50"
+      >
+        <i className="fas fa-plus mr-1"></i>Add a problem
+      </button>
+    </div>
+  );
+}
+
+// Solution Step Component: one numbered step card (shared by streaming and final solutions)
+function SolutionStep({ step, index, chat, onAsk }) {
+  const [showChat, setShowChat] = useState(false);
+  const questions = (chat || []).filter(
+    (entry) => entry.role === "user"
+  ).length;
+  return (
+    <div className="border-b border-gray-100 pb-6 solution-step">
+      <div className="flex items-start">
+        <span className="flex items-center justify-center w-8 h-8 rounded-full bg-blue-100 text-blue-600 font-semibold mr-4">
+          {index + 1}
+        </span>
+        <div>
+          <p className="text-gray-600 mb-3">
+            <MathText text={step.explanation} />
+          </p>
+          <p className="text-lg bg-gray-50 p-3 rounded-lg">
+            <MathText text={step.equation} mode="math" />
+            <CopyMathButton text={step.equation} />
+          </p>
+          {onAsk && (
+            <button
+              onClick={() => setShowChat(!showChat)}
+              className="mt-2 text-sm text-purple-600 hover:text-purple-800"
+              aria-expanded={showChat}
+            >
+              <i className="fas fa-comments mr-1"></i>
+              {showChat ? "Hide questions" : "Ask about this step"}
+              {!showChat && questions > 0 && ` (${questions})`}
+            </button>
+          )}
+          {onAsk && showChat && (
+            <StepChat step={index} thread={chat || []} onAsk={onAsk} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
 }
 
-// Utility: Detect topic (can be improved further)
-function detectMathTopic(input) {
-  if (input.includes("=")) return "Algebra";
-  if (input.match(/\b(sin|cos|tan)\b/)) return "Trigonometry";
-  if (input.includes("∫") || input.includes("d/dx")) return "Calculus";
-  if (input.includes("√")) return "Roots";
-  if (input.includes("%")) return "Percentages";
-  if (input.includes("matrix") || input.includes("[")) return "Matrices";
-  return "General Mathematics";
+// Step Chat Component: follow-up questions about one step, answered inline.
+// A thread is a list of { role: "user" | "assistant" | "error", content };
+// it is waiting for an answer while the last entry is the student's question.
+function StepChat({ step, thread, onAsk }) {
+  const [question, setQuestion] = useState("");
+  const waiting = thread[thread.length - 1]?.role === "user";
+  const ask = () => {
+    if (!question.trim() || waiting) return;
+    onAsk(step, question.trim());
+    setQuestion("");
+  };
+  return (
+    <div className="mt-3 space-y-2 animate-fade-in">
+      {thread.map((entry, idx) =>
+        entry.role === "user" ? (
+          <p key={idx} className="ml-8 bg-gray-100 p-2 rounded-lg text-sm">
+            <i className="fas fa-user mr-2 text-gray-500"></i>
+            {entry.content}
+          </p>
+        ) : entry.role === "error" ? (
+          <p key={idx} className="text-sm text-red-600" role="alert">
+            <i className="fas fa-exclamation-triangle mr-2"></i>
+            {entry.content}
+          </p>
+        ) : (
+          <div
+            key={idx}
+            className="mr-8 bg-purple-50 p-2 rounded-lg text-sm whitespace-pre-wrap"
+          >
+            <i className="fas fa-robot mr-2 text-purple-500"></i>
+            <MathText text={entry.content} />
+          </div>
+        )
+      )}
+      {waiting && (
+        <p className="text-sm text-gray-500" role="status">
+          <i className="fas fa-spinner fa-spin mr-2"></i>Thinking...
+        </p>
+      )}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") ask();
+          }}
+          placeholder="Why does this step work?"
+          className="flex-1 p-2 border rounded-lg text-sm"
+          aria-label={`Question about step ${step + 1}`}
+        />
+        <button
+          onClick={ask}
+          disabled={!question.trim() || waiting}
+          className="px-3 py-2 bg-purple-600 text-white rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50"
+        >
+          Ask
+        </button>
+      </div>
+    </div>
+  );
 }
 
-// Utility: Save/load preferences to localStorage
-function savePrefs(prefs) {
-  try {
-    localStorage.setItem("mathmaster_prefs", JSON.stringify(prefs));
-  } catch {}
+// Tutor Session Component: reveals a solution one step at a time. The student sees each
+// step's explanation as a hint, types the equation it leads to, and the step is shown once
+// the equation checks out (or they ask for it). Tips serve as extra hints along the way.
+function TutorSession({ solution, onFinish }) {
+  const [revealed, setRevealed] = useState(0);
+  const [guess, setGuess] = useState("");
+  const [feedback, setFeedback] = useState(null);
+  const [hintsShown, setHintsShown] = useState(0);
+  const [stepsGivenAway, setStepsGivenAway] = useState(0);
+
+  // A new solution restarts the session
+  useEffect(() => {
+    setRevealed(0);
+    setGuess("");
+    setFeedback(null);
+    setHintsShown(0);
+    setStepsGivenAway(0);
+  }, [solution]);
+
+  const steps = solution.steps || [];
+  const tips = solution.tips || [];
+  const current = steps[revealed];
+
+  const advance = (givenAway) => {
+    if (givenAway) setStepsGivenAway((n) => n + 1);
+    setGuess("");
+    setRevealed(revealed + 1);
+    if (revealed + 1 >= steps.length) onFinish();
+  };
+  const checkGuess = () => {
+    const result = compareStepEquation(
+      current.equation,
+      guess,
+      steps[revealed - 1]?.equation
+    );
+    setFeedback(result);
+    if (result.status === "correct") advance(false);
+  };
+
+  return (
+    <div className="space-y-6">
+      {steps.slice(0, revealed).map((step, idx) => (
+        <SolutionStep key={idx} step={step} index={idx} />
+      ))}
+      {feedback && (
+        <p
+          className={`text-sm ${
+            feedback.status === "correct"
+              ? "text-green-600"
+              : feedback.status === "incorrect"
+              ? "text-red-600"
+              : "text-gray-600"
+          }`}
+          role="status"
+        >
+          {feedback.message}
+        </p>
+      )}
+      {current ? (
+        <div className="border-2 border-dashed border-purple-200 rounded-lg p-4">
+          <div className="flex items-start">
+            <span className="flex items-center justify-center w-8 h-8 rounded-full bg-purple-100 text-purple-600 font-semibold mr-4">
+              {revealed + 1}
+            </span>
+            <div className="flex-1">
+              <p className="text-gray-600 mb-3">
+                <i className="fas fa-lightbulb text-yellow-500 mr-2"></i>
+                <MathText text={current.explanation} />
+              </p>
+              <div className="flex flex-wrap gap-2">
+                <input
+                  type="text"
+                  value={guess}
+                  onChange={(e) => setGuess(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") checkGuess();
+                  }}
+                  placeholder="What equation do you get?"
+                  className="flex-1 min-w-[12rem] p-2 border rounded-lg font-mono"
+                  aria-label={`Your equation for step ${revealed + 1}`}
+                />
+                <button
+                  onClick={checkGuess}
+                  disabled={!guess.trim()}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                >
+                  Check
+                </button>
+              </div>
+              {tips.slice(0, hintsShown).map((tip, idx) => (
+                <p
+                  key={idx}
+                  className="mt-3 bg-yellow-50 p-2 rounded text-sm text-yellow-800"
+                >
+                  <i className="fas fa-lightbulb mr-2"></i>
+                  <MathText text={tip} />
+                </p>
+              ))}
+              <div className="mt-3 flex flex-wrap gap-4 text-sm">
+                {hintsShown < tips.length && (
+                  <button
+                    onClick={() => setHintsShown(hintsShown + 1)}
+                    className="text-yellow-700 hover:text-yellow-900"
+                  >
+                    <i className="fas fa-question-circle mr-1"></i>
+                    {hintsShown ? "Another hint" : "Give me a hint"}
+                  </button>
+                )}
+                <button
+                  onClick={() => {
+                    setFeedback(null);
+                    advance(true);
+                  }}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  <i className="fas fa-eye mr-1"></i>Show this step
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <p className="text-green-700 font-semibold">
+          <i className="fas fa-graduation-cap mr-2"></i>
+          {stepsGivenAway
+            ? `Done! You worked out ${steps.length - stepsGivenAway} of ${
+                steps.length
+              } steps yourself.`
+            : "Great work! You worked out every step yourself."}
+        </p>
+      )}
+    </div>
+  );
 }
-function loadPrefs() {
-  try {
-    return JSON.parse(localStorage.getItem("mathmaster_prefs")) || {};
-  } catch {
-    return {};
-  }
+
+// Streaming Solution Component: finished parts of a solution that is still being generated
+function StreamingSolution({ partial }) {
+  const steps = Array.isArray(partial.steps) ? partial.steps : [];
+  const tips = Array.isArray(partial.tips) ? partial.tips : [];
+  const hasAnswer = typeof partial.final_answer === "string";
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex items-center mb-4">
+        <i className="fas fa-cog mr-2 text-purple-600 loading-icon"></i>
+        <p className="text-gray-600 animate-pulse">
+          Generating detailed solution...
+        </p>
+      </div>
+      <div className="space-y-6" aria-live="polite">
+        {steps.map((step, idx) => (
+          <div key={idx} className="animate-slide-up">
+            <SolutionStep step={step} index={idx} />
+          </div>
+        ))}
+        {!hasAnswer && (
+          <div className="flex items-center text-gray-400 animate-shimmer">
+            <span className="flex items-center justify-center w-8 h-8 rounded-full bg-gray-100 font-semibold mr-4">
+              {steps.length + 1}
+            </span>
+            Working on the next step...
+          </div>
+        )}
+      </div>
+      {hasAnswer && (
+        <div className="mt-8 pt-6 border-t border-gray-200 animate-scale-in">
+          <p className="text-xl font-bold text-green-600">
+            Final Answer: <MathText text={partial.final_answer} mode="math" />
+          </p>
+        </div>
+      )}
+      {tips.length > 0 && (
+        <ul className="mt-4 space-y-2 bg-yellow-50 p-4 rounded-lg">
+          {tips.map((tip, idx) => (
+            <li key={idx} className="flex items-start animate-slide-in">
+              <span className="text-yellow-500 mr-2">•</span>
+              <span>
+                <MathText text={tip} />
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 }
 
-// --- UI Components ---
+// Verification Badge: result of checking the final answer with the local math engine
+function VerificationBadge({ result }) {
+  const styles = {
+    verified: {
+      label: "Verified",
+      icon: "fa-check-double",
+      className: "bg-green-100 text-green-700",
+    },
+    mismatch: {
+      label: "Mismatch",
+      icon: "fa-exclamation-triangle",
+      className: "bg-red-100 text-red-700",
+    },
+    unverified: {
+      label: "Not checked",
+      icon: "fa-question-circle",
+      className: "bg-gray-100 text-gray-500",
+    },
+  };
+  const style = styles[result.status] || styles.unverified;
+  return (
+    <span
+      className={`ml-3 px-3 py-1 rounded-full text-sm font-semibold ${style.className}`}
+      title={result.message}
+      role="status"
+    >
+      <i className={`fas ${style.icon} mr-1`}></i>
+      {style.label}
+      {result.status === "mismatch" && (
+        <span className="ml-2 font-normal">{result.message}</span>
+      )}
+    </span>
+  );
+}
 
 // Banner: Hosted URL + Alpha Warning
 function HostedBanner() {
@@ -116,51 +7317,203 @@ function HostedBanner() {
   );
 }
 
-// Practice Problems Component (unchanged)
-function PracticeProblems({ problems }) {
+// Practice Problems Component: answer each problem, get instant feedback and a score
+function PracticeProblems({
+  problems,
+  onGenerateMore,
+  onAttempt,
+  recommended,
+  loading,
+}) {
   const [openIdx, setOpenIdx] = useState(null);
+  // Per problem: { value, result, tries, revealed, recorded }.
+  // Only the first checked answer (or giving up by opening the solution) goes to onAttempt.
+  const [attempts, setAttempts] = useState({});
+  const [moreDifficulty, setMoreDifficulty] = useState("");
+
+  // A new set (not "generate more") starts a fresh score
+  const firstProblem = problems[0]?.problem;
+  useEffect(() => {
+    setAttempts({});
+    setOpenIdx(null);
+  }, [firstProblem]);
+
+  const update = (idx, fields) =>
+    setAttempts((prev) => ({ ...prev, [idx]: { ...prev[idx], ...fields } }));
+  const checkAnswer = (idx) => {
+    const attempt = attempts[idx] || {};
+    const problem = problems[idx];
+    const result = compareAnswers(
+      problem.answer || problem.solution,
+      attempt.value,
+      problem.problem
+    );
+    if (result.status === "unknown" && !String(attempt.value || "").trim()) {
+      update(idx, { result });
+      return;
+    }
+    const record = result.status !== "unknown" && !attempt.recorded;
+    if (record && !attempt.revealed) {
+      onAttempt?.(problem, result.status === "correct");
+    }
+    update(idx, {
+      result,
+      tries: (attempt.tries || 0) + 1,
+      recorded: attempt.recorded || record,
+    });
+    if (result.status === "unknown") setOpenIdx(idx);
+  };
+
+  const correct = problems.filter(
+    (_, idx) =>
+      attempts[idx]?.result?.status === "correct" && !attempts[idx]?.revealed
+  ).length;
+  const answered = problems.filter((_, idx) => attempts[idx]?.tries).length;
+
   return (
     <div className="space-y-6">
-      {problems.map((problem, idx) => (
-        <div
-          key={idx}
-          className="border-b border-gray-100 pb-6 last:border-0"
-        >
-          <div className="flex justify-between items-center mb-2">
-            <span className="text-lg font-semibold">Problem {idx + 1}</span>
-            <span
-              className={`px-3 py-1 rounded-full text-sm ${
-                problem.difficulty === "Easy"
-                  ? "bg-green-100 text-green-700"
-                  : problem.difficulty === "Medium"
-                  ? "bg-yellow-100 text-yellow-700"
-                  : "bg-red-100 text-red-700"
-              }`}
+      <div className="flex justify-between items-center bg-purple-50 rounded-lg p-3">
+        <span className="font-semibold text-purple-700">
+          <i className="fas fa-trophy mr-2"></i>Score: {correct} /{" "}
+          {problems.length}
+        </span>
+        <span className="text-sm text-gray-600">
+          {answered} of {problems.length} attempted
+        </span>
+      </div>
+      {problems.map((problem, idx) => {
+        const attempt = attempts[idx] || {};
+        const status = attempt.result?.status;
+        return (
+          <div
+            key={idx}
+            className="border-b border-gray-100 pb-6 last:border-0"
+          >
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-lg font-semibold">
+                Problem {idx + 1}
+                {status === "correct" && !attempt.revealed && (
+                  <i className="fas fa-check-circle text-green-500 ml-2"></i>
+                )}
+              </span>
+              <span
+                className={`px-3 py-1 rounded-full text-sm ${
+                  problem.difficulty === "Easy"
+                    ? "bg-green-100 text-green-700"
+                    : problem.difficulty === "Medium"
+                    ? "bg-yellow-100 text-yellow-700"
+                    : "bg-red-100 text-red-700"
+                }`}
+              >
+                {problem.difficulty}
+              </span>
+            </div>
+            <p className="bg-gray-50 p-3 rounded mb-4">
+              <MathText text={problem.problem} />
+            </p>
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+              <input
+                type="text"
+                value={attempt.value || ""}
+                onChange={(e) => update(idx, { value: e.target.value })}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") checkAnswer(idx);
+                }}
+                disabled={status === "correct"}
+                placeholder="Your answer, e.g. x = 3"
+                className="flex-1 min-w-[10rem] p-2 border rounded-lg font-mono"
+                aria-label={`Your answer to problem ${idx + 1}`}
+              />
+              <button
+                onClick={() => checkAnswer(idx)}
+                disabled={status === "correct"}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              >
+                Check
+              </button>
+            </div>
+            {attempt.result && (
+              <p
+                className={`mb-2 text-sm ${
+                  status === "correct"
+                    ? "text-green-600"
+                    : status === "incorrect"
+                    ? "text-red-600"
+                    : "text-gray-600"
+                }`}
+                role="status"
+              >
+                {attempt.result.message}
+                {attempt.tries > 1 &&
+                  status === "correct" &&
+                  ` (${attempt.tries} tries)`}
+                {attempt.revealed &&
+                  status === "correct" &&
+                  " Solution was shown first, so this one doesn't count."}
+              </p>
+            )}
+            <button
+              onClick={() => {
+                if (openIdx !== idx && status !== "correct") {
+                  if (!attempt.recorded) onAttempt?.(problem, false);
+                  update(idx, { revealed: true, recorded: true });
+                }
+                setOpenIdx(openIdx === idx ? null : idx);
+              }}
+              className="text-blue-600 hover:text-blue-800"
+              aria-expanded={openIdx === idx}
+              aria-controls={`practice-problem-solution-${idx}`}
             >
-              {problem.difficulty}
-            </span>
+              {openIdx === idx ? "Hide Solution" : "Show Solution"}
+            </button>
+            {openIdx === idx && (
+              <div
+                className="mt-2 text-gray-600"
+                id={`practice-problem-solution-${idx}`}
+              >
+                <MathText text={problem.solution} />
+                {problem.answer && (
+                  <p className="mt-1 font-semibold">
+                    Answer: <MathText text={problem.answer} mode="math" />
+                  </p>
+                )}
+              </div>
+            )}
           </div>
-          <p className="font-mono bg-gray-50 p-3 rounded mb-4">
-            {problem.problem}
-          </p>
+        );
+      })}
+      {onGenerateMore && (
+        <div className="flex flex-wrap items-center gap-2 pt-2">
+          <select
+            value={moreDifficulty}
+            onChange={(e) => setMoreDifficulty(e.target.value)}
+            className="p-2 border rounded-lg"
+            aria-label="Difficulty of new problems"
+          >
+            <option value="">
+              Recommended{recommended ? ` (${recommended})` : ""}
+            </option>
+            <option value="mixed">Mixed difficulty</option>
+            {PRACTICE_DIFFICULTIES.map((level) => (
+              <option key={level} value={level}>
+                {level}
+              </option>
+            ))}
+          </select>
           <button
-            onClick={() => setOpenIdx(openIdx === idx ? null : idx)}
-            className="text-blue-600 hover:text-blue-800"
-            aria-expanded={openIdx === idx}
-            aria-controls={`practice-problem-solution-${idx}`}
+            onClick={() => onGenerateMore(moreDifficulty)}
+            disabled={loading}
+            className="px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-300 disabled:opacity-50"
           >
-            {openIdx === idx ? "Hide Solution" : "Show Solution"}
+            <i
+              className={`fas ${
+                loading ? "fa-spinner fa-spin" : "fa-plus"
+              } mr-2`}
+            ></i>
+            Generate more like this
           </button>
-          {openIdx === idx && (
-            <div
-              className="mt-2 text-gray-600"
-              id={`practice-problem-solution-${idx}`}
-            >
-              {problem.solution}
-            </div>
-          )}
         </div>
-      ))}
+      )}
     </div>
   );
 }
@@ -176,14 +7529,16 @@ function AlternativeMethods({ methods }) {
           </h4>
           {method.steps.map((step, sidx) => (
             <div key={sidx} className="mb-4">
-              <p className="text-gray-600 mb-2">{step.explanation}</p>
-              <p className="font-mono bg-gray-50 p-2 rounded">
-                {step.equation}
+              <p className="text-gray-600 mb-2">
+                <MathText text={step.explanation} />
+              </p>
+              <p className="bg-gray-50 p-2 rounded">
+                <MathText text={step.equation} mode="math" />
               </p>
             </div>
           ))}
           <p className="text-green-600 font-semibold mt-2">
-            Final Answer: {method.final_answer}
+            Final Answer: <MathText text={method.final_answer} mode="math" />
           </p>
         </div>
       ))}
@@ -191,49 +7546,819 @@ function AlternativeMethods({ methods }) {
   );
 }
 
-// History List Component (unchanged)
-function HistoryList({ history }) {
+// History Panel Component: searchable, filterable list of every solved problem.
+// The result of `hiddenSolution` (the one being worked through in tutor mode) is not shown.
+const HISTORY_PAGE_SIZE = 20;
+
+function HistoryPanel({
+  history,
+  hiddenSolution,
+  onRestore,
+  onRerun,
+  onDelete,
+  onClear,
+}) {
+  const [query, setQuery] = useState("");
+  const [topic, setTopic] = useState("");
+  const [model, setModel] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [visible, setVisible] = useState(HISTORY_PAGE_SIZE);
+
+  const topics = [...new Set(history.map((item) => item.topic))]
+    .filter(Boolean)
+    .sort();
+  const models = [...new Set(history.map((item) => item.model))].filter(
+    Boolean
+  );
+  const filtered = filterHistory(history, { query, topic, model, from, to });
+  const filtersActive = query || topic || model || from || to;
+
+  const resetFilters = () => {
+    setQuery("");
+    setTopic("");
+    setModel("");
+    setFrom("");
+    setTo("");
+  };
+
+  if (!history.length) {
+    return (
+      <p className="mt-4 text-gray-500">
+        No solutions yet. Everything you solve is kept here, even after a
+        refresh.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <div className="relative flex-1 min-w-[12rem]">
+          <i className="fas fa-search absolute left-3 top-3 text-gray-400"></i>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setVisible(HISTORY_PAGE_SIZE);
+            }}
+            placeholder="Search problems and answers..."
+            className="w-full pl-9 pr-3 py-2 border rounded-lg"
+            aria-label="Search history"
+          />
+        </div>
+        <select
+          value={topic}
+          onChange={(e) => setTopic(e.target.value)}
+          className="p-2 border rounded-lg"
+          aria-label="Filter by topic"
+        >
+          <option value="">All topics</option>
+          {topics.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+          className="p-2 border rounded-lg"
+          aria-label="Filter by model"
+        >
+          <option value="">All models</option>
+          {models.map((id) => (
+            <option key={id} value={id}>
+              {MODEL_PROVIDERS[id]?.label || id}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="p-2 border rounded-lg"
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="p-2 border rounded-lg"
+          aria-label="To date"
+        />
+        {filtersActive && (
+          <button
+            onClick={resetFilters}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Reset filters
+          </button>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mb-2 text-sm text-gray-500">
+        <span>
+          {filtered.length} of {history.length} solution
+          {history.length === 1 ? "" : "s"}
+        </span>
+        <button
+          onClick={() => {
+            if (window.confirm("Delete your entire solution history?")) {
+              onClear();
+            }
+          }}
+          className="text-red-500 hover:text-red-700"
+        >
+          <i className="fas fa-trash-alt mr-1"></i>Clear history
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        {filtered.slice(0, visible).map((item) => (
+          <div
+            key={item.id ?? item.createdAt}
+            role="button"
+            tabIndex={0}
+            onClick={() => onRestore(item)}
+            onKeyDown={(e) => {
+              // Enter on the Re-run/Delete buttons inside bubbles up here
+              if (e.key === "Enter" && e.target === e.currentTarget)
+                onRestore(item);
+            }}
+            className="bg-white rounded-lg p-4 shadow cursor-pointer hover:shadow-md transition-all duration-300 history-item solution-step animate-slide-up"
+            title="Show this solution"
+          >
+            <div className="flex justify-between items-center mb-2">
+              <span className="font-mono text-sm">
+                {latexToPlain(item.input, "text")}
+              </span>
+              <span className="text-xs text-gray-500">
+                {new Date(item.createdAt).toLocaleString()}
+              </span>
+            </div>
+            <div className="text-gray-600">
+              {item.solution === hiddenSolution
+                ? "Result: hidden until you finish the tutor session"
+                : `Result: ${latexToPlain(item.solution.final_answer)}`}
+            </div>
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+              {item.topic && (
+                <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded-full">
+                  {item.topic}
+                  {item.subtopic && ` › ${item.subtopic}`}
+                </span>
+              )}
+              {item.model && (
+                <span className="px-2 py-1 bg-gray-100 text-gray-600 rounded-full">
+                  {MODEL_PROVIDERS[item.model]?.label || item.model}
+                </span>
+              )}
+              <span className="ml-auto flex gap-3">
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRerun(item);
+                  }}
+                  className="text-blue-600 hover:text-blue-800"
+                  aria-label="Solve this problem again"
+                >
+                  <i className="fas fa-redo mr-1"></i>Re-run
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(item);
+                  }}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label="Delete from history"
+                >
+                  <i className="fas fa-trash-alt"></i>
+                </button>
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+      {filtered.length > visible && (
+        <button
+          onClick={() => setVisible((v) => v + HISTORY_PAGE_SIZE)}
+          className="mt-4 text-blue-600 hover:text-blue-800"
+        >
+          Show more ({filtered.length - visible} remaining)
+        </button>
+      )}
+      {!filtered.length && (
+        <p className="text-gray-500">No solutions match these filters.</p>
+      )}
+    </div>
+  );
+}
+
+// Mastery Dashboard Component: practice progress per topic
+function MasteryDashboard({ mastery, onReset }) {
+  const topics = Object.entries(mastery).sort(
+    ([, a], [, b]) => (b.lastPracticed || 0) - (a.lastPracticed || 0)
+  );
+
+  if (!topics.length) {
+    return (
+      <p className="mt-4 text-gray-500">
+        Answer some practice problems to start tracking your progress.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-4 space-y-4">
+      {topics.map(([topic, record]) => {
+        const score = masteryScore(record);
+        const label = masteryLabel(score);
+        return (
+          <div key={topic} className="bg-white rounded-lg p-4 shadow">
+            <div className="flex justify-between items-center mb-2">
+              <span className="font-semibold">{topic}</span>
+              <span
+                className={`px-3 py-1 rounded-full text-sm ${
+                  label === "Mastered"
+                    ? "bg-green-100 text-green-700"
+                    : label === "Practising"
+                    ? "bg-yellow-100 text-yellow-700"
+                    : "bg-blue-100 text-blue-700"
+                }`}
+              >
+                {label}
+              </span>
+            </div>
+            <div
+              className="w-full h-3 bg-gray-100 rounded-full overflow-hidden"
+              role="progressbar"
+              aria-label={`${topic} mastery`}
+              aria-valuenow={Math.round(score * 100)}
+              aria-valuemin={0}
+              aria-valuemax={100}
+            >
+              <div
+                className="h-full bg-gradient-to-r from-blue-500 to-purple-500"
+                style={{ width: `${Math.round(score * 100)}%` }}
+              ></div>
+            </div>
+            <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600">
+              <span>Mastery {Math.round(score * 100)}%</span>
+              <span>
+                {record.correct} of {record.attempts} correct
+              </span>
+              {PRACTICE_DIFFICULTIES.filter(
+                (level) => record.byDifficulty[level]
+              ).map((level) => (
+                <span key={level} className="text-gray-500">
+                  {level}: {record.byDifficulty[level].correct}/
+                  {record.byDifficulty[level].attempts}
+                </span>
+              ))}
+              {record.streak > 1 && (
+                <span className="text-orange-600">
+                  <i className="fas fa-fire mr-1"></i>
+                  {record.streak} in a row
+                </span>
+              )}
+              <span className="ml-auto text-gray-500">
+                Next: {recommendedDifficulty(record)} ·{" "}
+                {new Date(record.lastPracticed).toLocaleDateString()}
+              </span>
+            </div>
+          </div>
+        );
+      })}
+      <button
+        onClick={() => {
+          if (window.confirm("Reset your progress for every topic?")) {
+            onReset();
+          }
+        }}
+        className="text-sm text-red-500 hover:text-red-700"
+      >
+        <i className="fas fa-undo mr-1"></i>Reset progress
+      </button>
+    </div>
+  );
+}
+
+// Import / Export Panel Component: download the library or history, or merge an export back in
+function ImportExportPanel({ savedSolutions, history, onImport }) {
+  const [include, setInclude] = useState({ saved: true, history: true });
+  const [status, setStatus] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const exportData = (format) => {
+    const data = {
+      saved: include.saved ? savedSolutions : [],
+      history: include.history ? history : [],
+    };
+    const content =
+      format.id === "json"
+        ? exportJSON(data)
+        : format.id === "csv"
+        ? exportCSV(data)
+        : exportMarkdown(data);
+    downloadFile(
+      content,
+      `mathmaster-export-${new Date().toISOString().slice(0, 10)}.${format.id}`,
+      format.type
+    );
+  };
+
+  const importFile = async (e) => {
+    const picked = e.target.files[0];
+    e.target.value = "";
+    if (!picked) return;
+    setImporting(true);
+    setStatus(null);
+    try {
+      const parsed = parseLibraryFile(await picked.text());
+      const result = await onImport(parsed);
+      const parts = [
+        `Imported ${result.saved} saved solution${
+          result.saved === 1 ? "" : "s"
+        } and ${result.history} history entr${
+          result.history === 1 ? "y" : "ies"
+        }.`,
+        result.duplicates > 0 &&
+          `${result.duplicates} already in your library were skipped.`,
+        parsed.skipped > 0 &&
+          `${parsed.skipped} invalid entr${
+            parsed.skipped === 1 ? "y was" : "ies were"
+          } ignored.`,
+      ];
+      setStatus({ ok: true, text: parts.filter(Boolean).join(" ") });
+    } catch (err) {
+      setStatus({ ok: false, text: err.message });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const nothingSelected = !include.saved && !include.history;
+
+  return (
+    <div className="mt-4 p-4 rounded-lg bg-white border shadow animate-fade-in">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <span className="font-semibold">Export:</span>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={include.saved}
+            onChange={(e) =>
+              setInclude({ ...include, saved: e.target.checked })
+            }
+          />
+          Saved solutions ({savedSolutions.length})
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={include.history}
+            onChange={(e) =>
+              setInclude({ ...include, history: e.target.checked })
+            }
+          />
+          History ({history.length})
+        </label>
+        <div className="flex gap-2">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => exportData(format)}
+              disabled={nothingSelected}
+              className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50"
+            >
+              <i className="fas fa-download mr-1"></i>
+              {format.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-4">
+        <span className="font-semibold">Import:</span>
+        <label className="px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-300 cursor-pointer">
+          <i className="fas fa-upload mr-1"></i>
+          {importing ? "Importing..." : "Choose a JSON export"}
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={importFile}
+            disabled={importing}
+            className="hidden"
+          />
+        </label>
+        <span className="text-sm text-gray-500">
+          Solutions already in your library are not imported twice.
+        </span>
+      </div>
+      {status && (
+        <p
+          className={`mt-3 text-sm ${
+            status.ok ? "text-green-700" : "text-red-600"
+          }`}
+          role="status"
+        >
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Saved Solution Detail Component: full solution with notes, tags and folder editing
+function SavedSolutionDetail({
+  item,
+  folders,
+  onBack,
+  onOpen,
+  onDelete,
+  toggleFavorite,
+  updateNotes,
+  updateSavedSolution,
+}) {
+  const [tagDraft, setTagDraft] = useState((item.tags || []).join(", "));
+  const [folderDraft, setFolderDraft] = useState(item.folder || "");
+  const solution = item.solution || {};
+
+  const commitTags = () => {
+    const tags = parseTags(tagDraft);
+    setTagDraft(tags.join(", "));
+    if (tags.join("\n") !== (item.tags || []).join("\n")) {
+      updateSavedSolution(item.id, { tags });
+    }
+  };
+  const commitFolder = () => {
+    const folder = folderDraft.trim();
+    if (folder !== (item.folder || "")) {
+      updateSavedSolution(item.id, { folder });
+    }
+  };
+
   return (
-    <div className="mt-4 space-y-4">
-      {history.map((item, idx) => (
-        <div
-          key={idx}
-          className="bg-white rounded-lg p-4 shadow cursor-pointer hover:shadow-md transition-all duration-300 history-item solution-step animate-slide-up"
+    <div className="bg-white rounded-lg p-6 shadow animate-fade-in">
+      <div className="flex justify-between items-center mb-4">
+        <button
+          onClick={onBack}
+          className="text-blue-600 hover:text-blue-800"
+          aria-label="Back to saved solutions"
         >
-          <div className="flex justify-between items-center mb-2">
-            <span className="font-mono text-sm">{cleanEquation(item.input)}</span>
-            <span className="text-xs text-gray-500">{item.timestamp}</span>
-          </div>
-          <div className="text-gray-600">
-            Result: {cleanEquation(item.solution.final_answer)}
-          </div>
+          <i className="fas fa-arrow-left mr-2"></i>Back
+        </button>
+        <div className="flex items-center gap-4">
+          <button
+            aria-label={item.is_favorite ? "Unfavorite" : "Mark as favorite"}
+            onClick={() => toggleFavorite(item.id, item.is_favorite)}
+            className={`text-2xl transition-colors duration-300 ${
+              item.is_favorite ? "text-yellow-500" : "text-gray-300"
+            }`}
+          >
+            <i className="fas fa-star"></i>
+          </button>
+          <button
+            onClick={() => onOpen(item)}
+            className="px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-300"
+          >
+            <i className="fas fa-external-link-alt mr-1"></i>Open in solver
+          </button>
+          <button
+            onClick={() => {
+              if (window.confirm("Delete this saved solution?")) {
+                onDelete([item.id]);
+              }
+            }}
+            className="text-gray-400 hover:text-red-600"
+            aria-label="Delete saved solution"
+          >
+            <i className="fas fa-trash-alt"></i>
+          </button>
         </div>
-      ))}
+      </div>
+
+      <div className="text-lg font-semibold mb-1">
+        <MathText text={item.equation} />
+      </div>
+      <div className="flex flex-wrap gap-2 text-xs text-gray-500 mb-6">
+        <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded-full">
+          {savedSolutionTopic(item)}
+        </span>
+        {solution.difficulty_level && (
+          <span className="px-2 py-1 bg-gray-100 rounded-full">
+            {solution.difficulty_level}
+          </span>
+        )}
+        <span className="py-1">
+          Saved on: {new Date(item.created_at).toLocaleString()}
+        </span>
+      </div>
+
+      <div className="space-y-6">
+        {(solution.steps || []).map((step, idx) => (
+          <SolutionStep key={idx} step={step} index={idx} />
+        ))}
+      </div>
+      <p className="text-xl font-bold text-green-600 mt-6">
+        Final Answer: <MathText text={solution.final_answer} mode="math" />
+      </p>
+      {solution.tips?.length > 0 && (
+        <ul className="list-disc list-inside mt-4 text-gray-700">
+          {solution.tips.map((tip, idx) => (
+            <li key={idx}>
+              <MathText text={tip} />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-6 pt-6 border-t border-gray-200 space-y-3">
+        <label className="block">
+          <span className="font-semibold text-gray-700">Notes</span>
+          <textarea
+            value={item.notes || ""}
+            onChange={(e) => updateNotes(item.id, e.target.value)}
+            placeholder="Add notes..."
+            className="w-full p-2 border rounded-lg mt-1"
+            rows="3"
+          />
+        </label>
+        <div className="flex flex-wrap gap-4">
+          <label className="flex-1 min-w-[12rem]">
+            <span className="font-semibold text-gray-700">Tags</span>
+            <input
+              type="text"
+              value={tagDraft}
+              onChange={(e) => setTagDraft(e.target.value)}
+              onBlur={commitTags}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitTags();
+              }}
+              placeholder="homework, exam prep"
+              className="w-full p-2 border rounded-lg mt-1"
+            />
+          </label>
+          <label className="flex-1 min-w-[12rem]">
+            <span className="font-semibold text-gray-700">Folder</span>
+            <input
+              type="text"
+              list="saved-solution-folders"
+              value={folderDraft}
+              onChange={(e) => setFolderDraft(e.target.value)}
+              onBlur={commitFolder}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitFolder();
+              }}
+              placeholder="No folder"
+              className="w-full p-2 border rounded-lg mt-1"
+            />
+            <datalist id="saved-solution-folders">
+              {folders.map((name) => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </label>
+        </div>
+      </div>
     </div>
   );
 }
 
-// Saved Solutions Component (unchanged)
+// Saved Solutions Component: library with search, folders, tags, sorting and bulk delete
 function SavedSolutions({
   savedSolutions,
   selectedSolution,
   setSelectedSolution,
   toggleFavorite,
   updateNotes,
+  updateSavedSolution,
+  deleteSavedSolutions,
+  onOpen,
 }) {
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [folder, setFolder] = useState("");
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [sort, setSort] = useState("newest");
+  const [checked, setChecked] = useState([]);
+
+  const tags = [...new Set(savedSolutions.flatMap((item) => item.tags || []))]
+    .filter(Boolean)
+    .sort();
+  const folders = [...new Set(savedSolutions.map((item) => item.folder))]
+    .filter(Boolean)
+    .sort();
+  const filtered = filterSavedSolutions(savedSolutions, {
+    query,
+    tag,
+    folder,
+    favoritesOnly,
+    sort,
+  });
+  const visibleIds = filtered.map((item) => item.id);
+  const checkedVisible = checked.filter((id) => visibleIds.includes(id));
+  const allChecked =
+    visibleIds.length > 0 && checkedVisible.length === visibleIds.length;
+  const selected = savedSolutions.find((item) => item.id === selectedSolution);
+
+  const toggleChecked = (id) =>
+    setChecked((prev) =>
+      prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id]
+    );
+  const deleteChecked = () => {
+    if (
+      window.confirm(
+        `Delete ${checkedVisible.length} saved solution${
+          checkedVisible.length === 1 ? "" : "s"
+        }?`
+      )
+    ) {
+      deleteSavedSolutions(checkedVisible);
+      setChecked([]);
+    }
+  };
+
+  if (selected) {
+    return (
+      <div className="mt-4">
+        <SavedSolutionDetail
+          key={selected.id}
+          item={selected}
+          folders={folders}
+          onBack={() => setSelectedSolution(null)}
+          onOpen={onOpen}
+          onDelete={deleteSavedSolutions}
+          toggleFavorite={toggleFavorite}
+          updateNotes={updateNotes}
+          updateSavedSolution={updateSavedSolution}
+        />
+      </div>
+    );
+  }
+
+  if (!savedSolutions.length) {
+    return (
+      <p className="mt-4 text-gray-500">
+        No saved solutions yet. Use "Save Solution" below any solution to keep
+        it here.
+      </p>
+    );
+  }
+
   return (
-    <div className="mt-4 space-y-4">
-      {savedSolutions.map((item) => (
-        <div
-          key={item.id}
-          className="bg-white rounded-lg p-4 shadow hover:shadow-md transition-all duration-300"
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <div className="relative flex-1 min-w-[12rem]">
+          <i className="fas fa-search absolute left-3 top-3 text-gray-400"></i>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search problems, answers, notes and tags..."
+            className="w-full pl-9 pr-3 py-2 border rounded-lg"
+            aria-label="Search saved solutions"
+          />
+        </div>
+        <select
+          value={folder}
+          onChange={(e) => setFolder(e.target.value)}
+          className="p-2 border rounded-lg"
+          aria-label="Filter by folder"
         >
-          <div className="flex justify-between items-start mb-2">
-            <div className="flex-1">
-              <span className="font-mono text-sm">{item.equation}</span>
+          <option value="">All folders</option>
+          {folders.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          className="p-2 border rounded-lg"
+          aria-label="Filter by tag"
+        >
+          <option value="">All tags</option>
+          {tags.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="p-2 border rounded-lg"
+          aria-label="Sort saved solutions"
+        >
+          {SAVED_SORT_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm">
+          <input
+            type="checkbox"
+            checked={favoritesOnly}
+            onChange={(e) => setFavoritesOnly(e.target.checked)}
+          />
+          <i className="fas fa-star text-yellow-500"></i> Favorites only
+        </label>
+      </div>
+
+      <div className="flex justify-between items-center mb-2 text-sm text-gray-500">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={allChecked}
+            onChange={() =>
+              setChecked(
+                allChecked
+                  ? checked.filter((id) => !visibleIds.includes(id))
+                  : [...new Set([...checked, ...visibleIds])]
+              )
+            }
+            aria-label="Select all shown"
+          />
+          {filtered.length} of {savedSolutions.length} saved
+        </label>
+        {checkedVisible.length > 0 && (
+          <button
+            onClick={deleteChecked}
+            className="text-red-500 hover:text-red-700"
+          >
+            <i className="fas fa-trash-alt mr-1"></i>Delete selected (
+            {checkedVisible.length})
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {filtered.map((item) => (
+          <div
+            key={item.id}
+            className="bg-white rounded-lg p-4 shadow hover:shadow-md transition-all duration-300 flex items-start gap-3"
+          >
+            <input
+              type="checkbox"
+              checked={checked.includes(item.id)}
+              onChange={() => toggleChecked(item.id)}
+              className="mt-1"
+              aria-label="Select saved solution"
+            />
+            <div
+              role="button"
+              tabIndex={0}
+              onClick={() => setSelectedSolution(item.id)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") setSelectedSolution(item.id);
+              }}
+              className="flex-1 cursor-pointer"
+              title="Show the full solution"
+            >
+              <span className="font-mono text-sm">
+                {latexToPlain(item.equation || "", "text")}
+              </span>
               <p className="text-gray-600 mt-2">
-                Result: {item.solution?.final_answer || ""}
+                Result:{" "}
+                <MathText text={item.solution?.final_answer} mode="math" />
               </p>
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded-full">
+                  {savedSolutionTopic(item)}
+                </span>
+                {item.folder && (
+                  <span className="px-2 py-1 bg-blue-50 text-blue-700 rounded-full">
+                    <i className="fas fa-folder mr-1"></i>
+                    {item.folder}
+                  </span>
+                )}
+                {item.pending && (
+                  <span
+                    className="px-2 py-1 bg-yellow-50 text-yellow-700 rounded-full"
+                    title="Will be sent to the server when you are online"
+                  >
+                    <i className="fas fa-cloud-upload-alt mr-1"></i>Not synced
+                  </span>
+                )}
+                {(item.tags || []).map((name) => (
+                  <span
+                    key={name}
+                    className="px-2 py-1 bg-gray-100 text-gray-600 rounded-full"
+                  >
+                    #{name}
+                  </span>
+                ))}
+                <span className="ml-auto text-gray-400">
+                  Saved on: {new Date(item.created_at).toLocaleString()}
+                </span>
+              </div>
+              {item.notes && (
+                <p className="text-sm text-gray-500 mt-2">{item.notes}</p>
+              )}
             </div>
             <button
               aria-label={item.is_favorite ? "Unfavorite" : "Mark as favorite"}
@@ -245,40 +8370,11 @@ function SavedSolutions({
               <i className="fas fa-star"></i>
             </button>
           </div>
-          {selectedSolution === item.id ? (
-            <div className="mt-2">
-              <textarea
-                value={item.notes || ""}
-                onChange={(e) => updateNotes(item.id, e.target.value)}
-                placeholder="Add notes..."
-                className="w-full p-2 border rounded-lg"
-                rows="2"
-              />
-              <button
-                onClick={() => setSelectedSolution(null)}
-                className="mt-2 text-sm text-blue-600 hover:text-blue-800"
-              >
-                Done Editing
-              </button>
-            </div>
-          ) : (
-            <div className="mt-2 flex justify-between items-center">
-              <p className="text-sm text-gray-500">
-                {item.notes || "No notes"}
-              </p>
-              <button
-                onClick={() => setSelectedSolution(item.id)}
-                className="text-sm text-blue-600 hover:text-blue-800"
-              >
-                Edit Notes
-              </button>
-            </div>
-          )}
-          <div className="mt-2 text-xs text-gray-400">
-            Saved on: {new Date(item.created_at).toLocaleString()}
-          </div>
-        </div>
-      ))}
+        ))}
+      </div>
+      {!filtered.length && (
+        <p className="text-gray-500">No saved solutions match these filters.</p>
+      )}
     </div>
   );
 }
@@ -324,28 +8420,78 @@ function FAQSection({ faqs }) {
 function MainComponent() {
   // --- State ---
   const [input, setInput] = useState("");
-  const [file, setFile] = useState(null);
+  const [solvedInput, setSolvedInput] = useState(""); // problem text the solution is for
+  const [files, setFiles] = useState([]);
   const [solution, setSolution] = useState(null);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [upload, { loading: uploadLoading }] = useUpload();
-  const [streamingResponse, setStreamingResponse] = useState("");
+  const [streamingSolution, setStreamingSolution] = useState(null);
   const [history, setHistory] = useState([]);
   const [showHistory, setShowHistory] = useState(false);
-  const [previewImage, setPreviewImage] = useState(null);
+  const [previews, setPreviews] = useState([]);
+  const [imageEdits, setImageEdits] = useState(() => new Map());
+  const [editingFile, setEditingFile] = useState(null);
+  const [showCamera, setShowCamera] = useState(false);
+  const [showHandwriting, setShowHandwriting] = useState(false);
+  const [handwritingLoading, setHandwritingLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState("");
+  const [worksheet, setWorksheet] = useState([]);
+  const [worksheetImages, setWorksheetImages] = useState([]);
+  const [worksheetSolving, setWorksheetSolving] = useState(false);
   const [savedSolutions, setSavedSolutions] = useState([]);
   const [showSaved, setShowSaved] = useState(false);
+  const [showTransfer, setShowTransfer] = useState(false);
   const [selectedSolution, setSelectedSolution] = useState(null);
   const [notes, setNotes] = useState("");
+  const [saveTags, setSaveTags] = useState("");
+  const [pendingSync, setPendingSync] = useState(0);
+  const [syncOffline, setSyncOffline] = useState(false);
+  const [syncNotice, setSyncNotice] = useState("");
+  const syncRef = useRef(Promise.resolve());
+  const noteDraftsRef = useRef(new Map());
   const [showStepByStep, setShowStepByStep] = useState(true);
+  const [tutorMode, setTutorMode] = useState(false);
+  const [tutorDone, setTutorDone] = useState(false);
+  const [stepChats, setStepChats] = useState({});
+  // Step questions belong to the solution on screen and are cancelled when it changes
+  const stepChatControllerRef = useRef(null);
   const [showAlternativeMethods, setShowAlternativeMethods] = useState(false);
   const [alternativeSolutions, setAlternativeSolutions] = useState([]);
   const [practiceProblems, setPracticeProblems] = useState([]);
   const [showPractice, setShowPractice] = useState(false);
-  const [currentModel, setCurrentModel] = useState("gemini");
+  const [practiceLoading, setPracticeLoading] = useState(false);
+  const [mastery, setMastery] = useState({});
+  const [showProgress, setShowProgress] = useState(false);
+  const [currentModel, setCurrentModel] = useState(DEFAULT_MODEL_PROVIDER);
   const [showTips, setShowTips] = useState(false);
-  const [mathTopic, setMathTopic] = useState("");
+  const [mathTopic, setMathTopic] = useState(null);
   const [showGraph, setShowGraph] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [requestStatus, setRequestStatus] = useState("");
+  const [requestTimeout, setRequestTimeout] = useState(DEFAULT_REQUEST_TIMEOUT);
+  const [showPdfOptions, setShowPdfOptions] = useState(false);
+  const [pdfOptions, setPdfOptions] = useState({
+    alternatives: true,
+    practice: true,
+  });
+  // The running solve (and its follow-up requests) can be cancelled through this controller
+  const solveControllerRef = useRef(null);
+  const uploadControllerRef = useRef(null);
+  const worksheetControllerRef = useRef(null);
+  const handwritingControllerRef = useRef(null);
+  const streamFinishRef = useRef(null);
+
+  // Practice difficulty for the current topic, from the learner model
+  const topicMastery = mathTopic ? mastery[mathTopic.topic] : null;
+  const practiceLevel = recommendedDifficulty(
+    topicMastery,
+    solution?.difficulty_level
+  );
+  const topicScore = masteryScore(topicMastery);
+  const topicMasteryText = `${Math.round(topicScore * 100)}% (${masteryLabel(
+    topicScore
+  )})`;
 
   // --- User Preferences ---
   const [theme, setTheme] = useState("system");
@@ -371,132 +8517,296 @@ function MainComponent() {
     // eslint-disable-next-line
   }, [input]);
 
+  // Shared request options for AI calls: user timeout, plus retry and repair progress in the banner
+  function requestOptions(signal) {
+    return {
+      signal,
+      timeoutMs: requestTimeout * 1000,
+      onRepair: (errors) =>
+        setRequestStatus(
+          `The response was malformed (${formatSchemaErrors(
+            errors
+          )}). Asking the model to correct it...`
+        ),
+      onRetry: ({ attempt, retries, delay, error: err }) =>
+        setRequestStatus(
+          `${
+            err.status
+              ? `Server busy (HTTP ${err.status})`
+              : "Connection problem"
+          }. Retrying in ${Math.ceil(delay / 1000)}s (attempt ${
+            attempt + 1
+          } of ${retries + 1})...`
+        ),
+    };
+  }
+
+  // Stop the running solve, including a response that is still streaming
+  function stopSolving() {
+    solveControllerRef.current?.abort();
+    solveControllerRef.current = null;
+    setLoading(false);
+    setStreamingSolution(null);
+    setRequestStatus("Stopped. Press Solve to try again.");
+  }
+
+  // Show a finished solution and record it in history
+  function applySolution(parsed, text) {
+    setSolution(parsed);
+    setSolvedInput(text);
+    setVerification(verifySolution(text, parsed.final_answer));
+    recordSolution(parsed, text);
+  }
+
+  // Record a solution in history; returns the history entry
+  function recordSolution(parsed, text) {
+    const classification = classifyMathTopic(text);
+    const entry = {
+      input: text,
+      solution: parsed,
+      topic: classification.topic,
+      subtopic: classification.subtopic,
+      model: currentModel,
+      createdAt: Date.now(),
+    };
+    addHistoryEntry(entry)
+      .then((saved) => setHistory((prev) => [saved, ...prev]))
+      .catch(() => {
+        // Without IndexedDB the entry still shows for this session
+        setHistory((prev) => [entry, ...prev]);
+      });
+    return entry;
+  }
+
+  // Structured solve request for a problem (shared by the solver and worksheet batches)
+  function solvePayload(text, topic) {
+    return {
+      messages: [
+        {
+          role: "user",
+          content: `Solve this mathematical problem and show all steps. ${topicPrompt(
+            topic
+          )}${LATEX_PROMPT} Make explanations clear and detailed. Problem: ${text}`,
+        },
+      ],
+      json_schema: MATH_SOLUTION_SCHEMA,
+    };
+  }
+
+  // Show a solution from history without solving again. It gets its own controller, so the
+  // practice and alternative-method requests it starts stop when something else is shown.
+  function restoreHistoryEntry(entry) {
+    solveControllerRef.current?.abort();
+    solveControllerRef.current = new AbortController();
+    setLoading(false);
+    setError(null);
+    setRequestStatus("");
+    setStreamingSolution(null);
+    setInput(entry.input);
+    setMathTopic(classifyMathTopic(entry.input));
+    setShowAlternativeMethods(false);
+    setShowPractice(false);
+    setSolution(entry.solution);
+    setSolvedInput(entry.input);
+    setVerification(verifySolution(entry.input, entry.solution.final_answer));
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  // Solve a history entry again with the current model
+  function rerunHistoryEntry(entry) {
+    setInput(entry.input);
+    solveEquation(entry.input);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  // Async: Remove one entry (or all) from the persistent history
+  async function removeHistoryEntry(entry) {
+    setHistory((prev) => prev.filter((item) => item !== entry));
+    if (entry.id === undefined) return;
+    try {
+      await deleteHistoryEntry(entry.id);
+    } catch {
+      setError("Failed to delete history entry");
+    }
+  }
+  async function clearHistory() {
+    setHistory([]);
+    try {
+      await clearHistoryEntries();
+    } catch {
+      setError("Failed to clear history");
+    }
+  }
+
   // Streaming handler
   const handleStreamResponse = useHandleStreamResponse({
-    onChunk: (chunk) => setStreamingResponse(chunk),
-    onFinish: (message) => {
-      setStreamingResponse("");
+    onChunk: (chunk) => {
+      // A chunk that cannot be parsed leaves the last good partial on screen
       try {
-        const parsed = JSON.parse(message);
-        if (!parsed?.steps || !parsed?.final_answer) {
-          setError("Received incomplete solution data. Please try again.");
-          return;
-        }
-        setSolution(parsed);
-        setHistory((prev) =>
-          [
-            ...prev,
-            {
-              input,
-              solution: parsed,
-              timestamp: new Date().toLocaleString(),
-            },
-          ].slice(-5)
-        );
-      } catch {
-        setError("Received invalid response format. Please try again.");
-      }
+        setStreamingSolution(parsePartialJSON(chunk) || {});
+      } catch {}
+    },
+    // solveEquation validates the finished message once the stream has been read
+    onFinish: (message) => {
+      if (streamFinishRef.current) streamFinishRef.current(message);
     },
   });
 
-  // Async: Generate Practice Problems
-  async function generatePracticeProblems(inp = input) {
+  // Async: Generate Practice Problems (replacing the set, or appended with `more`)
+  async function generatePracticeProblems(
+    inp = input,
+    signal,
+    { difficulty = "", more = false } = {}
+  ) {
+    // Skipped for providers that cannot return structured JSON (e.g. offline)
+    const provider = getModelProvider(currentModel);
+    if (!provider.capabilities.jsonSchema) return;
+    const level = difficulty
+      ? `Make all of them ${difficulty} difficulty.`
+      : "Make them slightly different in difficulty.";
+    setPracticeLoading(true);
     try {
-      const response = await fetch("/integrations/google-gemini-1-5/", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
+      const content = await requestStructured(
+        provider,
+        {
           messages: [
             {
               role: "user",
-              content: `Generate 3 similar practice problems based on this math problem: ${inp}. Make them slightly different in difficulty.`,
+              content: `Generate 3 similar practice problems based on this math problem: ${inp}. ${level} Put only the final result (for example "x = 3") in answer, without units. Wrap any math in the problem and solution text in $...$ using LaTeX.`,
             },
           ],
-          json_schema: {
-            name: "practice_problems",
-            schema: {
-              type: "object",
-              properties: {
-                problems: {
-                  type: "array",
-                  items: {
-                    type: "object",
-                    properties: {
-                      problem: { type: "string" },
-                      difficulty: { type: "string" },
-                      solution: { type: "string" },
-                    },
-                    required: ["problem", "difficulty", "solution"],
-                  },
-                },
-              },
-              required: ["problems"],
-            },
-          },
-        }),
-      });
-      if (!response.ok) throw new Error("Failed to generate practice problems");
-      const data = await response.json();
-      setPracticeProblems(data.choices[0].message.content.problems);
+          json_schema: PRACTICE_PROBLEMS_SCHEMA,
+        },
+        requestOptions(signal)
+      );
+      setPracticeProblems((prev) =>
+        more ? [...prev, ...content.problems] : content.problems
+      );
       setShowPractice(true);
     } catch (err) {
-      setError("Failed to generate practice problems");
+      if (err.kind === "aborted") return;
+      setError(
+        describeRequestError(err, "Failed to generate practice problems")
+      );
+    } finally {
+      setPracticeLoading(false);
+      if (!signal?.aborted) setRequestStatus("");
+    }
+  }
+
+  // Async: Ask a follow-up question about one step. The first question carries the problem
+  // and every step; later ones resend the whole thread so the model keeps the conversation.
+  async function askAboutStep(index, question) {
+    const addEntry = (entry) =>
+      setStepChats((prev) => ({
+        ...prev,
+        [index]: [...(prev[index] || []), entry],
+      }));
+    const thread = [
+      ...(stepChats[index] || []),
+      { role: "user", content: question },
+    ];
+    addEntry(thread[thread.length - 1]);
+    const provider = getModelProvider(currentModel);
+    if (provider.capabilities.local) {
+      addEntry({
+        role: "error",
+        content:
+          "The offline solver cannot answer questions. Choose an online model to ask about a step.",
+      });
+      return;
+    }
+    if (!stepChatControllerRef.current) {
+      stepChatControllerRef.current = new AbortController();
+    }
+    const signal = stepChatControllerRef.current.signal;
+    const steps = solution.steps
+      .map(
+        (step, idx) => `${idx + 1}. ${step.explanation}\n   ${step.equation}`
+      )
+      .join("\n");
+    const context = `I am working through this math problem: ${solvedInput}\n\nThe solution steps are:\n${steps}\n\nFinal answer: ${
+      solution.final_answer
+    }\n\nMy questions are about step ${
+      index + 1
+    }. Answer briefly for a student and wrap any math in $...$. Do not use markdown.\n\n`;
+    // Questions that failed are left out, so user and assistant turns alternate
+    const messages = thread
+      .filter(
+        (entry, idx) =>
+          entry.role !== "error" && thread[idx + 1]?.role !== "error"
+      )
+      .map((entry, idx) =>
+        idx === 0 ? { ...entry, content: context + entry.content } : entry
+      );
+    try {
+      const answer = await requestModel(
+        provider,
+        { messages },
+        requestOptions(signal)
+      );
+      addEntry({ role: "assistant", content: String(answer).trim() });
+    } catch (err) {
+      if (err.kind === "aborted") return;
+      addEntry({
+        role: "error",
+        content: describeRequestError(err, "Failed to answer your question"),
+      });
+    } finally {
+      if (!signal.aborted) setRequestStatus("");
     }
   }
 
+  // Record a practice answer in the learner model. The topic comes from the practice
+  // problem itself when the classifier is sure, otherwise from the solved problem.
+  function recordPractice(problem, correct) {
+    const classification = classifyMathTopic(problem.problem);
+    const topic =
+      classification.confidence >= 0.4 || !mathTopic
+        ? classification.topic
+        : mathTopic.topic;
+    const next = recordPracticeAttempt(
+      mastery,
+      topic,
+      problem.difficulty,
+      correct
+    );
+    setMastery(next);
+    saveMastery(next);
+  }
+  function resetMastery() {
+    setMastery({});
+    saveMastery({});
+  }
+
   // Async: Generate Alternative Methods
-  async function generateAlternativeMethods(inp = input) {
+  async function generateAlternativeMethods(inp = input, signal) {
+    // Skipped for providers that cannot return structured JSON (e.g. offline)
+    const provider = getModelProvider(currentModel);
+    if (!provider.capabilities.jsonSchema) return;
     try {
-      const response = await fetch("/integrations/google-gemini-1-5/", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
+      const content = await requestStructured(
+        provider,
+        {
           messages: [
             {
               role: "user",
-              content: `Show two alternative methods to solve this math problem: ${inp}. Explain each method step by step.`,
+              content: `Show two alternative methods to solve this math problem: ${inp}. Explain each method step by step. ${LATEX_PROMPT}`,
             },
           ],
-          json_schema: {
-            name: "alternative_methods",
-            schema: {
-              type: "object",
-              properties: {
-                methods: {
-                  type: "array",
-                  items: {
-                    type: "object",
-                    properties: {
-                      name: { type: "string" },
-                      steps: {
-                        type: "array",
-                        items: {
-                          type: "object",
-                          properties: {
-                            explanation: { type: "string" },
-                            equation: { type: "string" },
-                          },
-                          required: ["explanation", "equation"],
-                        },
-                      },
-                      final_answer: { type: "string" },
-                    },
-                    required: ["name", "steps", "final_answer"],
-                  },
-                },
-              },
-              required: ["methods"],
-            },
-          },
-        }),
-      });
-      if (!response.ok)
-        throw new Error("Failed to generate alternative methods");
-      const data = await response.json();
-      setAlternativeSolutions(data.choices[0].message.content.methods);
+          json_schema: ALTERNATIVE_METHODS_SCHEMA,
+        },
+        requestOptions(signal)
+      );
+      setAlternativeSolutions(content.methods);
       setShowAlternativeMethods(true);
     } catch (err) {
-      setError("Failed to generate alternative methods");
+      if (err.kind === "aborted") return;
+      setError(
+        describeRequestError(err, "Failed to generate alternative methods")
+      );
+    } finally {
+      if (!signal?.aborted) setRequestStatus("");
     }
   }
 
@@ -506,136 +8816,341 @@ function MainComponent() {
       setError("Please enter an equation to solve.");
       return;
     }
+    // A new solve supersedes any request still running for the previous one
+    solveControllerRef.current?.abort();
+    const controller = new AbortController();
+    solveControllerRef.current = controller;
+    const isCurrent = () => solveControllerRef.current === controller;
+
     setLoading(true);
     setError(null);
+    setRequestStatus("");
     setSolution(null);
-    setStreamingResponse("");
-    setMathTopic(detectMathTopic(text));
+    setVerification(null);
+    setStreamingSolution(null);
+    const topic = classifyMathTopic(text);
+    setMathTopic(topic);
     setShowAlternativeMethods(false);
     setShowPractice(false);
 
+    const provider = getModelProvider(currentModel);
+
+    // Local providers (offline mode) solve without touching any AI endpoint
+    if (provider.capabilities.local) {
+      try {
+        applySolution(provider.solve(text), text);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
+
     try {
-      const endpoint =
-        currentModel === "gemini"
-          ? "/integrations/google-gemini-1-5/"
-          : "/integrations/chat-gpt/conversationgpt4";
-      const response = await fetch(endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          messages: [
-            {
-              role: "user",
-              content: `Solve this mathematical problem and show all steps. Format all mathematical expressions properly without LaTeX or markdown symbols. Make explanations clear and detailed. Problem: ${text}`,
-            },
-          ],
-          json_schema: {
-            name: "math_solution",
-            schema: {
-              type: "object",
-              properties: {
-                steps: {
-                  type: "array",
-                  items: {
-                    type: "object",
-                    properties: {
-                      explanation: { type: "string" },
-                      equation: { type: "string" },
-                    },
-                    required: ["explanation", "equation"],
-                  },
-                },
-                final_answer: { type: "string" },
-                difficulty_level: { type: "string" },
-                tips: {
-                  type: "array",
-                  items: { type: "string" },
-                },
-                graph_data: {
-                  type: "object",
-                  properties: {
-                    type: { type: "string" },
-                    points: {
-                      type: "array",
-                      items: {
-                        type: "object",
-                        properties: {
-                          x: { type: "number" },
-                          y: { type: "number" },
-                        },
-                        required: ["x", "y"],
-                      },
-                    },
-                  },
-                  required: ["type", "points"],
-                },
-              },
-              required: ["steps", "final_answer"],
-            },
+      const payload = solvePayload(text, topic);
+      const options = requestOptions(controller.signal);
+      let content = null;
+      if (provider.capabilities.streaming) {
+        streamFinishRef.current = (message) => {
+          content = message;
+        };
+        await streamModel(provider, payload, {
+          ...options,
+          read: (response) => {
+            setRequestStatus("");
+            return handleStreamResponse(response);
           },
-          stream: true,
-        }),
-      });
-      if (!response.ok)
-        throw new Error(`Server responded with status: ${response.status}`);
-      await handleStreamResponse(response);
+        });
+        if (content === null) {
+          throw new Error("The solution stream ended early. Please try again.");
+        }
+      } else {
+        content = await requestModel(provider, payload, options);
+      }
+      // Providers with a custom request() may ignore the signal
+      if (!isCurrent()) return;
+      const parsed = await ensureSchema(provider, payload, content, options);
+      if (!isCurrent()) return;
+      setStreamingSolution(null);
+      applySolution(parsed, text);
     } catch (err) {
+      if (err.kind === "aborted" || !isCurrent()) return;
+      setStreamingSolution(null);
       setError(
-        err.message ||
-          "Sorry, there was a problem solving your equation. Please try again in a moment."
+        describeRequestError(
+          err,
+          "Sorry, there was a problem solving your equation"
+        )
       );
     } finally {
-      setLoading(false);
+      if (isCurrent()) {
+        setLoading(false);
+        setRequestStatus("");
+      }
     }
   }
 
   // Generate additional content after receiving solution
   useEffect(() => {
     if (solution) {
+      const signal = solveControllerRef.current?.signal;
       Promise.all([
-        generatePracticeProblems(input),
-        generateAlternativeMethods(input),
+        generatePracticeProblems(solvedInput, signal, {
+          difficulty: practiceLevel,
+        }),
+        generateAlternativeMethods(solvedInput, signal),
       ]).catch(() => {});
     }
     // eslint-disable-next-line
   }, [solution]);
 
-  // Async: Handle Image Upload
+  // Async: Upload an image and have the vision model read it with the given prompt
+  async function readImage(file, prompt, signal) {
+    const provider = findModelProvider("vision", currentModel);
+    if (!provider) throw new Error("No vision model is available");
+    const { url, error: uploadError } = await upload({ file });
+    if (uploadError) throw new Error(uploadError);
+    return requestModel(
+      provider,
+      {
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              { type: "image_url", image_url: { url } },
+            ],
+          },
+        ],
+      },
+      requestOptions(signal)
+    );
+  }
+
+  // Async: Handle Image Upload: read every page and list the problems found for review
   async function handleImageUpload() {
+    uploadControllerRef.current?.abort();
+    const controller = new AbortController();
+    uploadControllerRef.current = controller;
+    setError(null);
     try {
-      const { url, error: uploadError } = await upload({ file });
-      if (uploadError) throw new Error(uploadError);
-      setPreviewImage(URL.createObjectURL(file));
-      const response = await fetch("/integrations/gpt-vision/", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          messages: [
-            {
-              role: "user",
-              content: [
-                {
-                  type: "text",
-                  text: "Read this mathematical problem and express it as a text equation. Only return the equation, nothing else.",
-                },
-                {
-                  type: "image_url",
-                  image_url: { url },
-                },
-              ],
-            },
-          ],
-        }),
+      const pages = await readWorksheetFiles(
+        files,
+        (f) => imageEdits.get(f) || IMAGE_DEFAULT_EDITS
+      );
+      if (!findModelProvider("vision", currentModel)) {
+        throw new Error("No vision model is available");
+      }
+      // Object URLs of the cleaned-up pages, for the review
+      const images = [];
+      const found = [];
+      const unreadable = [];
+      for (const [idx, page] of pages.entries()) {
+        setUploadProgress(
+          pages.length > 1
+            ? `Reading page ${idx + 1} of ${pages.length}...`
+            : "Reading the image..."
+        );
+        try {
+          const file = await preprocessImage(page.file, page.edits);
+          const image = URL.createObjectURL(file);
+          images.push(image);
+          const content = await readImage(
+            file,
+            WORKSHEET_PROMPT,
+            controller.signal
+          );
+          parseWorksheetProblems(content).forEach((item) =>
+            found.push(
+              worksheetProblem({
+                ...item,
+                source: page.name,
+                image,
+              })
+            )
+          );
+        } catch (err) {
+          // One unreadable page should not lose the rest of the worksheet
+          if (err.kind === "aborted" || pages.length === 1) throw err;
+          unreadable.push(page.name);
+        }
+        if (controller.signal.aborted) {
+          images.forEach((url) => URL.revokeObjectURL(url));
+          return;
+        }
+      }
+      setWorksheetImages(images);
+      if (!found.length) {
+        throw new Error(
+          unreadable.length
+            ? "None of the pages could be read"
+            : "No math problems were found"
+        );
+      }
+      if (unreadable.length) {
+        setError(
+          `Failed to read ${unreadable.join("; ")}. Upload those pages again.`
+        );
+      }
+      setWorksheet(found);
+    } catch (err) {
+      if (err.kind === "aborted") return;
+      setError(
+        describeRequestError(
+          err,
+          "Failed to process the upload. Please try again"
+        )
+      );
+    } finally {
+      if (uploadControllerRef.current === controller) {
+        setUploadProgress("");
+        setRequestStatus("");
+      }
+    }
+  }
+
+  // Async: Read a handwritten problem into the input box, ready to check and solve
+  async function recognizeHandwriting(file) {
+    handwritingControllerRef.current?.abort();
+    const controller = new AbortController();
+    handwritingControllerRef.current = controller;
+    setHandwritingLoading(true);
+    setError(null);
+    try {
+      const text = await readImage(file, HANDWRITING_PROMPT, controller.signal);
+      if (controller.signal.aborted) return;
+      const problem = String(text || "").trim();
+      if (!problem) throw new Error("No writing was recognized");
+      setInput(problem);
+    } catch (err) {
+      if (err.kind === "aborted") return;
+      setError(describeRequestError(err, "Failed to read your handwriting"));
+    } finally {
+      if (handwritingControllerRef.current === controller) {
+        setHandwritingLoading(false);
+        setRequestStatus("");
+      }
+    }
+  }
+
+  // Async: Solve the worksheet one problem at a time, skipping those already solved.
+  // Each solution is recorded in history; a failed problem does not stop the batch.
+  // A single reviewed problem goes to the solver instead, as if typed in.
+  async function solveWorksheet() {
+    if (worksheet.length === 1) {
+      const text = worksheet[0].text.trim();
+      setInput(text);
+      setWorksheet([]);
+      solveEquation(text);
+      return;
+    }
+    worksheetControllerRef.current?.abort();
+    const controller = new AbortController();
+    worksheetControllerRef.current = controller;
+    const provider = getModelProvider(currentModel);
+    const updateProblem = (id, changes) =>
+      setWorksheet((prev) =>
+        prev.map((item) => (item.id === id ? { ...item, ...changes } : item))
+      );
+    const queue = worksheet.filter(
+      (item) => item.status !== "solved" && item.text.trim()
+    );
+    setWorksheetSolving(true);
+    try {
+      for (const item of queue) {
+        if (controller.signal.aborted) break;
+        updateProblem(item.id, { status: "solving", error: "" });
+        try {
+          const text = item.text.trim();
+          const parsed = provider.capabilities.local
+            ? provider.solve(text)
+            : await requestStructured(
+                provider,
+                solvePayload(text, classifyMathTopic(text)),
+                requestOptions(controller.signal)
+              );
+          updateProblem(item.id, {
+            status: "solved",
+            entry: recordSolution(parsed, text),
+          });
+        } catch (err) {
+          if (err.kind === "aborted") {
+            updateProblem(item.id, { status: "pending" });
+            break;
+          }
+          updateProblem(item.id, {
+            status: "failed",
+            error: describeRequestError(err, "Failed to solve this problem"),
+          });
+        }
+      }
+    } finally {
+      if (worksheetControllerRef.current === controller) {
+        worksheetControllerRef.current = null;
+        setWorksheetSolving(false);
+        setRequestStatus("");
+      }
+    }
+  }
+  function stopWorksheet() {
+    worksheetControllerRef.current?.abort();
+  }
+
+  // Uploads: PNG, JPG, WEBP and PDF files within the size limit are kept
+  function addFiles(list) {
+    const rejected = [...list].map(validateUpload).filter(Boolean);
+    if (rejected.length) setError(rejected.join(" "));
+    const accepted = [...list].filter((f) => !validateUpload(f));
+    if (accepted.length) setFiles((prev) => [...prev, ...accepted]);
+  }
+  // Take photo: the live camera where the browser allows it, otherwise the
+  // phone's own camera app through a capture file input
+  function openCamera() {
+    if (navigator.mediaDevices?.getUserMedia) setShowCamera(true);
+    else document.getElementById("cameraInput").click();
+  }
+  // Paste a screenshot anywhere on the page; text pastes are left alone
+  useEffect(() => {
+    function handlePaste(e) {
+      const images = [...(e.clipboardData?.files || [])].filter((f) =>
+        f.type.startsWith("image/")
+      );
+      if (!images.length) return;
+      // Copied web content can carry an image too; in a text box the text wins
+      const editing = e.target.closest?.("input, textarea, [contenteditable]");
+      if (editing && e.clipboardData.types.includes("text/plain")) return;
+      e.preventDefault();
+      // Clipboard images are all called "image.png"; name them so pages can be told apart
+      const time = new Date().toLocaleTimeString();
+      const named = images.map((f, idx) => {
+        const suffix = images.length > 1 ? ` (${idx + 1})` : "";
+        const extension = f.type.split("/")[1];
+        return new File([f], `Pasted image ${time}${suffix}.${extension}`, {
+          type: f.type,
+        });
       });
-      if (!response.ok) throw new Error("Failed to process image");
-      const data = await response.json();
-      const equation = data.choices[0].message.content;
-      setInput(equation);
-      solveEquation(equation);
-    } catch (err) {
-      setError("Failed to process the image. Please try again.");
+      addFiles(named);
     }
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+    // eslint-disable-next-line
+  }, []);
+  function removeFile(f) {
+    setFiles(files.filter((other) => other !== f));
+    if (editingFile === f) setEditingFile(null);
   }
+  useEffect(
+    () => () => worksheetImages.forEach((url) => URL.revokeObjectURL(url)),
+    [worksheetImages]
+  );
+  useEffect(() => {
+    const urls = files.map((f) =>
+      f.type.startsWith("image/") ? URL.createObjectURL(f) : null
+    );
+    setPreviews(urls);
+    return () => urls.forEach((url) => url && URL.revokeObjectURL(url));
+  }, [files]);
 
   // Drag and Drop Handlers
   const handleDragOver = (e) => {
@@ -645,68 +9160,272 @@ function MainComponent() {
   const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    const droppedFile = e.dataTransfer.files[0];
-    if (droppedFile && droppedFile.type.startsWith("image/")) {
-      setFile(droppedFile);
-      setPreviewImage(URL.createObjectURL(droppedFile));
-    }
+    addFiles(e.dataTransfer.files);
   };
 
-  // Clear input, file, solution, error, preview
+  // Clear input, files, solution, error
   const clearAll = () => {
     setInput("");
-    setFile(null);
+    setFiles([]);
     setSolution(null);
+    setVerification(null);
     setError(null);
-    setPreviewImage(null);
   };
 
-  // Fetch saved solutions on mount
+  // Load saved solutions (local copy first, then sync) and local history on mount
   useEffect(() => {
-    fetchSavedSolutions();
+    refreshSavedSolutions()
+      .catch(() => {})
+      .then(syncSavedSolutions);
+    loadHistoryEntries()
+      .then((entries) => setHistory((prev) => [...prev, ...entries]))
+      // Without IndexedDB the history only lasts for this visit
+      .catch(() => {});
     // Restore preferences
     const prefs = loadPrefs();
     setTheme(prefs.theme || "system");
     setFontSize(prefs.fontSize || "base");
     setHighContrast(!!prefs.highContrast);
+    setTutorMode(!!prefs.tutorMode);
+    if (MODEL_PROVIDERS[prefs.model]) setCurrentModel(prefs.model);
+    if (REQUEST_TIMEOUT_OPTIONS.includes(prefs.requestTimeout))
+      setRequestTimeout(prefs.requestTimeout);
+    setMastery(loadMastery());
+    // Cancel anything still in flight when the page goes away
+    return () => {
+      solveControllerRef.current?.abort();
+      uploadControllerRef.current?.abort();
+      worksheetControllerRef.current?.abort();
+      handwritingControllerRef.current?.abort();
+    };
+  }, []);
+
+  // Open a shared permalink, on load and whenever the fragment changes
+  useEffect(() => {
+    async function openPermalink() {
+      try {
+        const shared = await decodePermalink(window.location.hash);
+        if (!shared) return;
+        if (shared.savedId) {
+          const matches = await savedSolutionsRequest(
+            { method: "GET" },
+            { id: shared.savedId }
+          );
+          const saved = (matches || []).find(
+            (item) => String(item.id) === shared.savedId
+          );
+          if (!saved) throw new Error("It may have been deleted");
+          openSavedSolution(saved);
+        } else {
+          restoreHistoryEntry(shared);
+        }
+        // The solution is on screen now; later solves should not be replaced on refresh
+        window.history.replaceState(null, "", permalinkBase());
+      } catch (err) {
+        setError(`Failed to open the shared solution. ${err.message}`);
+      }
+    }
+    openPermalink();
+    window.addEventListener("hashchange", openPermalink);
+    return () => window.removeEventListener("hashchange", openPermalink);
+    // eslint-disable-next-line
   }, []);
 
+  // Replay queued library changes when the connection comes back, and retry while any remain
+  useEffect(() => {
+    const goOffline = () => setSyncOffline(true);
+    window.addEventListener("online", syncSavedSolutions);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", syncSavedSolutions);
+      window.removeEventListener("offline", goOffline);
+    };
+    // eslint-disable-next-line
+  }, []);
+  useEffect(() => {
+    if (!pendingSync) return;
+    const timer = setInterval(syncSavedSolutions, SYNC_RETRY_MS);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line
+  }, [pendingSync]);
+
   // Save preferences on change
   useEffect(() => {
-    savePrefs({ theme, fontSize, highContrast });
-  }, [theme, fontSize, highContrast]);
+    savePrefs({
+      theme,
+      fontSize,
+      highContrast,
+      model: currentModel,
+      requestTimeout,
+      tutorMode,
+    });
+  }, [theme, fontSize, highContrast, currentModel, requestTimeout, tutorMode]);
+
+  // Every new solution starts a fresh tutor session and step questions
+  useEffect(() => {
+    setTutorDone(false);
+    setStepChats({});
+    stepChatControllerRef.current?.abort();
+    stepChatControllerRef.current = null;
+  }, [solution]);
+  // In tutor mode nothing that gives the answer away is shown until the steps are worked through
+  const tutoring = tutorMode && !tutorDone && solution?.steps?.length > 0;
+
+  // Async: Show the library: last server copy plus queued changes and unsent note edits
+  async function refreshSavedSolutions() {
+    const [snapshot, outbox] = await Promise.all([
+      loadSavedSnapshot(),
+      loadOutbox(),
+    ]);
+    const drafts = [...noteDraftsRef.current.values()].map(
+      (draft) => draft.mutation
+    );
+    setSavedSolutions(applySavedMutations(snapshot, [...outbox, ...drafts]));
+    setPendingSync(outbox.length);
+  }
+
+  // Async: Send queued library changes, then reload the library from the server.
+  // Syncs run one after another; without IndexedDB the server list is used directly.
+  function syncSavedSolutions() {
+    syncRef.current = syncRef.current.then(async () => {
+      const hasLocalStore = await openHistoryDB().then(
+        () => true,
+        () => false
+      );
+      try {
+        const report = hasLocalStore
+          ? await flushOutbox()
+          : { conflicts: 0, rejected: 0 };
+        const items = (await savedSolutionsRequest({ method: "GET" })) || [];
+        setSyncOffline(false);
+        if (!hasLocalStore) {
+          setSavedSolutions(items);
+          return;
+        }
+        await storeSavedSnapshot(items);
+        const skipped = report.conflicts + report.rejected;
+        setSyncNotice(
+          skipped
+            ? `${skipped} offline change${
+                skipped === 1 ? " was" : "s were"
+              } not applied because the solution was changed or deleted elsewhere.`
+            : ""
+        );
+      } catch {
+        // Offline or server unavailable: everything stays queued for the next attempt
+        if (!hasLocalStore) {
+          setError("Failed to load saved solutions");
+          return;
+        }
+        setSyncOffline(true);
+      }
+      await refreshSavedSolutions().catch(() => {});
+    });
+    return syncRef.current;
+  }
 
-  // Async: Fetch Saved Solutions
-  async function fetchSavedSolutions() {
+  // Async: Apply a library change on screen at once, queue it and try to send it.
+  // Queueing waits for any running sync, so a flush never removes an outbox entry
+  // while this change is being folded into it.
+  async function changeSavedSolutions(mutation, { sync = true } = {}) {
+    setSavedSolutions((prev) => applySavedMutations(prev, [mutation]));
+    const queued = syncRef.current.then(() => queueSavedMutation(mutation));
+    syncRef.current = queued.catch(() => {});
     try {
-      const response = await fetch("/api/math-solutions", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ method: "GET" }),
-      });
-      if (!response.ok) throw new Error("Failed to fetch saved solutions");
-      const data = await response.json();
-      setSavedSolutions(data);
-    } catch (err) {
-      setError("Failed to load saved solutions");
+      await queued;
+    } catch {
+      // Without IndexedDB there is no queue, so send it straight away
+      await sendSavedMutation(mutation);
+    }
+    if (sync) return syncSavedSolutions();
+  }
+
+  // Async: Merge an imported export into the library and history, skipping duplicates.
+  // Returns counts for the import summary.
+  async function importLibrary({ saved, history: entries }) {
+    const result = { saved: 0, history: 0, duplicates: 0 };
+    const savedKeys = new Set(
+      savedSolutions.map((item) => solutionKey(item.equation, item.solution))
+    );
+    const now = new Date().toISOString();
+    for (const item of saved) {
+      const key = solutionKey(item.equation, item.solution);
+      if (savedKeys.has(key)) {
+        result.duplicates++;
+        continue;
+      }
+      savedKeys.add(key);
+      await changeSavedSolutions(
+        {
+          type: "create",
+          item: {
+            id: localSavedId(),
+            equation: item.equation,
+            solution: item.solution,
+            notes: item.notes || "",
+            topic: item.topic || classifyMathTopic(item.equation).topic,
+            tags: parseTags((item.tags || []).join(",")),
+            folder: item.folder || "",
+            is_favorite: !!item.is_favorite,
+            created_at: item.created_at || now,
+            updated_at: now,
+          },
+        },
+        { sync: false }
+      );
+      result.saved++;
+    }
+    if (result.saved) syncSavedSolutions();
+
+    const historyKey = (entry) =>
+      `${entry.createdAt}\n${solutionKey(entry.input, entry.solution)}`;
+    const historyKeys = new Set(history.map(historyKey));
+    const added = [];
+    for (const entry of entries) {
+      const record = {
+        input: entry.input,
+        solution: entry.solution,
+        topic: entry.topic || classifyMathTopic(entry.input).topic,
+        subtopic: entry.subtopic || "",
+        model: entry.model || "",
+        createdAt: entry.createdAt ?? Date.now(),
+      };
+      if (historyKeys.has(historyKey(record))) {
+        result.duplicates++;
+        continue;
+      }
+      historyKeys.add(historyKey(record));
+      // Without IndexedDB the entry still shows for this session
+      added.push(await addHistoryEntry(record).catch(() => record));
+      result.history++;
+    }
+    if (added.length) {
+      setHistory((prev) =>
+        [...added, ...prev].sort((a, b) => b.createdAt - a.createdAt)
+      );
     }
+    return result;
   }
 
   // Async: Save Solution
   async function saveSolution() {
+    const now = new Date().toISOString();
+    const item = {
+      id: localSavedId(),
+      equation: solvedInput,
+      solution: solution,
+      notes: notes,
+      topic: mathTopic?.topic || classifyMathTopic(solvedInput).topic,
+      tags: parseTags(saveTags),
+      folder: "",
+      is_favorite: false,
+      created_at: now,
+      updated_at: now,
+    };
+    setNotes("");
+    setSaveTags("");
     try {
-      await fetch("/api/math-solutions", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          method: "POST",
-          equation: input,
-          solution: solution,
-          notes: notes,
-        }),
-      });
-      setNotes("");
-      fetchSavedSolutions();
+      await changeSavedSolutions({ type: "create", item });
     } catch {
       setError("Failed to save solution");
     }
@@ -715,64 +9434,132 @@ function MainComponent() {
   // Async: Toggle Favorite
   async function toggleFavorite(id, currentStatus) {
     try {
-      await fetch("/api/math-solutions", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          method: "PATCH",
-          id,
-          is_favorite: !currentStatus,
-        }),
+      await changeSavedSolutions({
+        type: "update",
+        id,
+        fields: { is_favorite: !currentStatus },
+        updatedAt: Date.now(),
       });
-      fetchSavedSolutions();
     } catch {
       setError("Failed to update favorite status");
     }
   }
 
-  // Async: Update Notes
-  async function updateNotes(id, newNotes) {
+  // Update Notes: shown at once, queued once typing pauses
+  function updateNotes(id, newNotes) {
+    const mutation = {
+      type: "update",
+      id,
+      fields: { notes: newNotes },
+      updatedAt: Date.now(),
+    };
+    setSavedSolutions((prev) => applySavedMutations(prev, [mutation]));
+    const drafts = noteDraftsRef.current;
+    clearTimeout(drafts.get(id)?.timer);
+    const timer = setTimeout(() => {
+      changeSavedSolutions(mutation)
+        .catch(() => setError("Failed to update notes"))
+        .finally(() => {
+          if (drafts.get(id)?.mutation === mutation) drafts.delete(id);
+        });
+    }, NOTES_DEBOUNCE_MS);
+    drafts.set(id, { mutation, timer });
+  }
+
+  // Async: Update tags or folder from the library detail view
+  async function updateSavedSolution(id, fields) {
     try {
-      await fetch("/api/math-solutions", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          method: "PATCH",
-          id,
-          notes: newNotes,
-        }),
+      await changeSavedSolutions({
+        type: "update",
+        id,
+        fields,
+        updatedAt: Date.now(),
       });
-      fetchSavedSolutions();
     } catch {
-      setError("Failed to update notes");
+      setError("Failed to update saved solution");
+    }
+  }
+
+  // Async: Delete one or more saved solutions
+  async function deleteSavedSolutions(ids) {
+    if (ids.includes(selectedSolution)) setSelectedSolution(null);
+    try {
+      await changeSavedSolutions({ type: "delete", ids });
+    } catch {
+      setError("Failed to delete saved solutions");
     }
   }
 
-  // Share Solution (stub)
-  function shareSolution() {
+  // Show a saved solution in the solver
+  function openSavedSolution(item) {
+    restoreHistoryEntry({ input: item.equation, solution: item.solution });
+  }
+
+  // Async: Share a link that opens straight into this solution
+  async function shareSolution() {
     if (!solution) return;
+    let link;
+    let tooLong = false;
+    try {
+      const hash = await encodePermalink(solvedInput, solution);
+      const saved = savedSolutions.find(
+        (item) => item.equation === solvedInput && !isLocalSavedId(item.id)
+      );
+      tooLong = hash.length > PERMALINK_MAX_LENGTH && !saved;
+      link =
+        permalinkBase() +
+        (hash.length > PERMALINK_MAX_LENGTH && saved
+          ? `#saved=${encodeURIComponent(saved.id)}`
+          : hash);
+    } catch {
+      setError("Failed to create a share link");
+      return;
+    }
+    const problemText = latexToPlain(solvedInput, "text");
+    const answerText = latexToPlain(solution.final_answer);
+    const shareData = {
+      title: "My Math Solution",
+      text: `Problem: ${problemText}\nSolution: ${answerText}`,
+      url: link,
+    };
     try {
-      const shareData = {
-        title: "My Math Solution",
-        text: `Problem: ${input}\nSolution: ${solution.final_answer}\nSee more at ${HOSTED_URL}`,
-        url: HOSTED_URL,
-      };
       if (navigator.share) {
-        navigator.share(shareData);
+        await navigator.share(shareData);
       } else {
-        navigator.clipboard.writeText(
-          `${shareData.text}\n${HOSTED_URL}`
+        await navigator.clipboard.writeText(`${shareData.text}\n${link}`);
+        alert(
+          tooLong
+            ? "Link copied, but it is very long. Save the solution first to share a shorter link."
+            : "Link copied! Anyone who opens it sees this solution."
         );
-        alert("Solution copied! Share it anywhere.");
       }
-    } catch {
+    } catch (err) {
+      if (err?.name === "AbortError") return;
       alert("Your device does not support sharing.");
     }
   }
 
-  // Export as PDF (stub)
+  // Export the current solution as a PDF worksheet
   function exportAsPDF() {
-    alert("PDF Export: Please use your browser's 'Print' -> 'Save as PDF' feature, or visit the hosted app for PDF export functionality.");
+    if (!solution) return;
+    try {
+      const bytes = buildSolutionPdf({
+        problem: solvedInput,
+        solution,
+        topic: mathTopic?.topic,
+        verification,
+        alternatives: pdfOptions.alternatives ? alternativeSolutions : [],
+        practice: pdfOptions.practice ? practiceProblems : [],
+      });
+      downloadFile(
+        bytes,
+        `mathmaster-solution-${new Date().toISOString().slice(0, 10)}.pdf`,
+        "application/pdf"
+      );
+      setShowPdfOptions(false);
+    } catch {
+      setError("Failed to generate PDF");
+    }
   }
 
   // --- RENDER ---
@@ -805,8 +9592,27 @@ function MainComponent() {
             ⚠️ This app is still in <b>alpha</b>! Expect bugs, missing features, and errors.
           </div>
           {mathTopic && (
-            <div className="mt-2 text-sm text-purple-600 animate-fade-in">
-              Current Topic: {mathTopic}
+            <div
+              className="mt-2 text-sm text-purple-600 animate-fade-in"
+              title={mathTopic.ranked
+                .map(
+                  (entry) =>
+                    `${entry.topic} (${Math.round(entry.confidence * 100)}%)`
+                )
+                .join(", ")}
+            >
+              Current Topic: {mathTopic.topic}
+              {mathTopic.subtopic && ` › ${mathTopic.subtopic}`}
+              {mathTopic.confidence > 0 && (
+                <span className="ml-1 text-gray-500">
+                  ({Math.round(mathTopic.confidence * 100)}% confident)
+                </span>
+              )}
+              {topicMastery && (
+                <span className="ml-2 text-gray-500">
+                  · Your mastery: {topicMasteryText}
+                </span>
+              )}
             </div>
           )}
         </div>
@@ -854,6 +9660,20 @@ function MainComponent() {
                   <option value="lg">Large</option>
                 </select>
               </div>
+              <div>
+                <label className="font-semibold mr-2">Request timeout:</label>
+                <select
+                  value={requestTimeout}
+                  onChange={(e) => setRequestTimeout(Number(e.target.value))}
+                  className="rounded p-1 border"
+                >
+                  {REQUEST_TIMEOUT_OPTIONS.map((seconds) => (
+                    <option key={seconds} value={seconds}>
+                      {seconds} seconds
+                    </option>
+                  ))}
+                </select>
+              </div>
               <div>
                 <label className="font-semibold mr-2">High Contrast:</label>
                 <input
@@ -862,6 +9682,15 @@ function MainComponent() {
                   onChange={(e) => setHighContrast(e.target.checked)}
                 />
               </div>
+              <div>
+                <label className="font-semibold mr-2">Tutor mode:</label>
+                <input
+                  type="checkbox"
+                  checked={tutorMode}
+                  onChange={(e) => setTutorMode(e.target.checked)}
+                  aria-label="Reveal solutions one step at a time"
+                />
+              </div>
               <span className="ml-4 text-xs text-gray-500">
                 Keyboard: <kbd>Ctrl+Enter</kbd> to solve, <kbd>Alt+H</kbd> history, <kbd>Alt+S</kbd> settings
               </span>
@@ -872,15 +9701,25 @@ function MainComponent() {
         <div className="bg-white rounded-xl shadow-xl p-6 mb-8 transition-all duration-300 hover:shadow-2xl animate-scale-in animate-glow hover-glow">
           <div className="flex justify-between items-center mb-4">
             <div className="flex items-center space-x-4">
-              <button
-                onClick={() =>
-                  setCurrentModel(currentModel === "gemini" ? "gpt" : "gemini")
-                }
-                className="px-4 py-2 rounded-lg bg-gradient-to-r from-blue-500 to-purple-500 text-white hover:opacity-90 transition-all duration-300"
+              <label
+                htmlFor="model-select"
+                className="text-gray-700 font-semibold"
               >
-                <i className="fas fa-sync-alt mr-2"></i>
-                Switch to {currentModel === "gemini" ? "GPT" : "Gemini"}
-              </button>
+                <i className="fas fa-robot mr-2 text-purple-500"></i>Model:
+              </label>
+              <select
+                id="model-select"
+                value={currentModel}
+                onChange={(e) => setCurrentModel(e.target.value)}
+                className="px-3 py-2 rounded-lg border focus:ring-2 focus:ring-purple-400"
+                aria-label="Choose the model used to solve problems"
+              >
+                {selectableModelProviders().map((provider) => (
+                  <option key={provider.id} value={provider.id}>
+                    {provider.label}
+                  </option>
+                ))}
+              </select>
             </div>
             {solution && (
               <div className="flex gap-2">
@@ -892,9 +9731,10 @@ function MainComponent() {
                   <i className="fas fa-share-alt"></i> Share
                 </button>
                 <button
-                  onClick={exportAsPDF}
+                  onClick={() => setShowPdfOptions(!showPdfOptions)}
                   className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-300"
                   aria-label="Export as PDF"
+                  aria-expanded={showPdfOptions}
                 >
                   <i className="fas fa-file-pdf"></i> PDF
                 </button>
@@ -902,29 +9742,58 @@ function MainComponent() {
             )}
           </div>
 
+          {solution && showPdfOptions && (
+            <div className="mb-6 p-4 rounded-lg bg-white border shadow animate-fade-in">
+              <div className="font-semibold mb-2">Export worksheet</div>
+              <label className="flex items-center gap-2 mb-1">
+                <input
+                  type="checkbox"
+                  checked={pdfOptions.alternatives}
+                  disabled={alternativeSolutions.length === 0}
+                  onChange={(e) =>
+                    setPdfOptions({
+                      ...pdfOptions,
+                      alternatives: e.target.checked,
+                    })
+                  }
+                />
+                Include alternative methods
+                {alternativeSolutions.length === 0 && (
+                  <span className="text-sm text-gray-500">
+                    (none generated yet)
+                  </span>
+                )}
+              </label>
+              <label className="flex items-center gap-2 mb-3">
+                <input
+                  type="checkbox"
+                  checked={pdfOptions.practice}
+                  disabled={practiceProblems.length === 0}
+                  onChange={(e) =>
+                    setPdfOptions({ ...pdfOptions, practice: e.target.checked })
+                  }
+                />
+                Include practice problems with answer key
+                {practiceProblems.length === 0 && (
+                  <span className="text-sm text-gray-500">
+                    (none generated yet)
+                  </span>
+                )}
+              </label>
+              <button
+                onClick={exportAsPDF}
+                className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700"
+              >
+                <i className="fas fa-download"></i> Download PDF
+              </button>
+            </div>
+          )}
+
           <div className="mb-8">
             <label className="block text-gray-700 mb-2 font-semibold text-lg">
               Enter your equation:
             </label>
-            <div className="relative">
-              <textarea
-                className="w-full p-4 border rounded-xl focus:ring-2 focus:ring-purple-400 focus:border-transparent text-lg font-mono"
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                placeholder="Type your mathematical problem here (e.g., '2x + 5 = 15' or '1/2 + 3/4' or 'solve for x: x² - 4 = 12')"
-                rows="3"
-                aria-label="Math Problem Input"
-              />
-              {input && (
-                <button
-                  onClick={clearAll}
-                  className="absolute top-2 right-2 text-gray-400 hover:text-gray-600"
-                  aria-label="Clear input"
-                >
-                  <i className="fas fa-times-circle"></i>
-                </button>
-              )}
-            </div>
+            <MathInput value={input} onChange={setInput} onClear={clearAll} />
             <button
               onClick={() => solveEquation(input)}
               disabled={loading || !input}
@@ -941,12 +9810,35 @@ function MainComponent() {
                 </span>
               )}
             </button>
+            {loading && (
+              <button
+                onClick={stopSolving}
+                className="mt-4 ml-3 px-6 py-3 rounded-xl border border-red-300 text-red-600 hover:bg-red-50 font-semibold transition-colors duration-300"
+                aria-label="Stop solving"
+              >
+                <i className="fas fa-stop-circle mr-2"></i>Stop
+              </button>
+            )}
+            <button
+              onClick={() => setShowHandwriting(!showHandwriting)}
+              className="mt-4 ml-3 px-6 py-3 rounded-xl border border-purple-300 text-purple-700 hover:bg-purple-50 font-semibold transition-colors duration-300"
+              aria-expanded={showHandwriting}
+            >
+              <i className="fas fa-pen-fancy mr-2"></i>
+              {showHandwriting ? "Hide Handwriting" : "Write by Hand"}
+            </button>
+            {showHandwriting && (
+              <HandwritingPad
+                onRecognize={recognizeHandwriting}
+                recognizing={handwritingLoading}
+              />
+            )}
           </div>
 
           {/* Image Upload */}
           <div className="border-t border-gray-200 pt-8">
             <label className="block text-gray-700 mb-4 font-semibold text-lg">
-              Or upload/drag an image of your problem:
+              Or upload/drag images or a PDF of your problems:
             </label>
             <div
               className="border-2 border-dashed border-gray-300 rounded-xl p-8 text-center cursor-pointer hover:border-purple-400 transition-colors duration-300"
@@ -956,62 +9848,129 @@ function MainComponent() {
             >
               <input
                 type="file"
-                accept="image/*"
+                accept={[...IMAGE_TYPES, "application/pdf", ".pdf"].join(",")}
+                multiple
                 onChange={(e) => {
-                  if (e.target.files?.[0]) {
-                    setFile(e.target.files[0]);
-                    setPreviewImage(URL.createObjectURL(e.target.files[0]));
-                  }
+                  addFiles(e.target.files);
+                  e.target.value = "";
                 }}
                 className="hidden"
                 id="fileInput"
               />
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={(e) => {
+                  addFiles(e.target.files);
+                  e.target.value = "";
+                }}
+                className="hidden"
+                id="cameraInput"
+              />
+              {files.length > 0 && (
+                <div className="flex flex-wrap justify-center gap-4 mb-4">
+                  {files.map((f, idx) => (
+                    <div key={idx} className="relative">
+                      {previews[idx] ? (
+                        <button
+                          onClick={() =>
+                            setEditingFile(editingFile === f ? null : f)
+                          }
+                          className="block"
+                          title="Crop, rotate and clean up"
+                        >
+                          <img
+                            src={previews[idx]}
+                            alt={f.name}
+                            className={`h-32 rounded-lg ${
+                              editingFile === f ? "ring-4 ring-purple-400" : ""
+                            }`}
+                          />
+                          <span className="absolute bottom-1 left-1 bg-white bg-opacity-80 text-xs text-gray-700 rounded px-1">
+                            <i className="fas fa-crop-alt mr-1"></i>
+                            {imageEdits.has(f) ? "Edited" : "Edit"}
+                          </span>
+                        </button>
+                      ) : (
+                        <div className="h-32 w-24 flex flex-col items-center justify-center bg-gray-50 rounded-lg text-gray-500">
+                          <i className="fas fa-file-pdf text-3xl text-red-500 mb-2"></i>
+                          <span className="text-xs break-all px-1">
+                            {f.name}
+                          </span>
+                        </div>
+                      )}
+                      <button
+                        onClick={() => removeFile(f)}
+                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 hover:bg-red-600"
+                        aria-label={`Remove ${f.name}`}
+                      >
+                        <i className="fas fa-times"></i>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
               <label htmlFor="fileInput" className="cursor-pointer">
-                {previewImage ? (
-                  <div className="relative">
-                    <img
-                      src={previewImage}
-                      alt="Preview"
-                      className="max-h-48 mx-auto rounded-lg"
-                    />
-                    <button
-                      onClick={(e) => {
-                        e.preventDefault();
-                        setFile(null);
-                        setPreviewImage(null);
-                      }}
-                      className="absolute top-2 right-2 bg-red-500 text-white rounded-full p-1 hover:bg-red-600"
-                      aria-label="Remove image"
-                    >
-                      <i className="fas fa-times"></i>
-                    </button>
-                  </div>
-                ) : (
-                  <div>
-                    <i className="fas fa-cloud-upload-alt text-4xl text-gray-400 mb-4"></i>
-                    <p className="text-gray-500">
-                      Click to upload or drag and drop
-                    </p>
-                    <p className="text-sm text-gray-400 mt-2">
-                      Supports PNG, JPG, JPEG, WEBP
-                    </p>
-                  </div>
-                )}
+                <div>
+                  <i className="fas fa-cloud-upload-alt text-4xl text-gray-400 mb-4"></i>
+                  <p className="text-gray-500">
+                    {files.length
+                      ? "Add more pages"
+                      : "Click to upload or drag and drop"}
+                  </p>
+                  <p className="text-sm text-gray-400 mt-2">
+                    Supports PNG, JPG, JPEG, WEBP and scanned PDFs up to{" "}
+                    {UPLOAD_MAX_BYTES / 1024 / 1024} MB, several at once. Photos
+                    are straightened, cleaned up and stripped of location data
+                    before upload.
+                  </p>
+                </div>
               </label>
-              {file && (
+              <div className="mt-4 flex flex-wrap justify-center items-center gap-3 text-sm">
+                <button
+                  onClick={openCamera}
+                  className="px-4 py-2 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200"
+                >
+                  <i className="fas fa-camera mr-2"></i>Take photo
+                </button>
+                <span className="text-gray-400">
+                  or paste a screenshot anywhere (Ctrl+V)
+                </span>
+              </div>
+              {showCamera && (
+                <CameraCapture
+                  onCapture={(photo) => addFiles([photo])}
+                  onClose={() => setShowCamera(false)}
+                  onError={setError}
+                />
+              )}
+              {editingFile && (
+                <ImageEditor
+                  file={editingFile}
+                  edits={imageEdits.get(editingFile) || IMAGE_DEFAULT_EDITS}
+                  onChange={(edits) =>
+                    setImageEdits((prev) =>
+                      new Map(prev).set(editingFile, edits)
+                    )
+                  }
+                  onClose={() => setEditingFile(null)}
+                />
+              )}
+              {files.length > 0 && (
                 <button
                   onClick={handleImageUpload}
-                  disabled={uploadLoading}
+                  disabled={uploadLoading || !!uploadProgress}
                   className="mt-4 bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-300"
                 >
-                  {uploadLoading ? (
+                  {uploadProgress ? (
                     <span>
                       <i className="fas fa-spinner fa-spin mr-2"></i>
-                      Processing...
+                      {uploadProgress}
                     </span>
                   ) : (
                     <span>
-                      <i className="fas fa-image mr-2"></i>Process Image
+                      <i className="fas fa-image mr-2"></i>Find Problems
                     </span>
                   )}
                 </button>
@@ -1020,6 +9979,20 @@ function MainComponent() {
           </div>
         </div>
 
+        {/* Worksheet from an upload */}
+        {worksheet.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8 animate-fade-in">
+            <WorksheetPanel
+              problems={worksheet}
+              solving={worksheetSolving}
+              onChange={setWorksheet}
+              onSolveAll={solveWorksheet}
+              onStop={stopWorksheet}
+              onView={restoreHistoryEntry}
+            />
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded-lg mb-6 flex items-center animate-slide-in animate-bounce-soft" role="alert">
@@ -1028,18 +10001,25 @@ function MainComponent() {
           </div>
         )}
 
+        {/* Request Status (retries, stopped) */}
+        {requestStatus && (
+          <div
+            className="bg-yellow-50 border-l-4 border-yellow-400 text-yellow-800 p-4 rounded-lg mb-6 flex items-center"
+            role="status"
+          >
+            <i className="fas fa-info-circle mr-2"></i>
+            {requestStatus}
+          </div>
+        )}
+
         {/* Streaming Response */}
-        {streamingResponse && (
-          <div className="bg-white rounded-xl shadow-lg p-6 mb-6 animate-shimmer">
-            <div className="flex items-center mb-4">
-              <i className="fas fa-cog mr-2 text-purple-600 loading-icon"></i>
-              <p className="text-gray-600 animate-pulse">
-                Generating detailed solution...
-              </p>
-            </div>
-            <pre className="whitespace-pre-wrap font-mono text-sm bg-gray-50 p-4 rounded-lg animate-slide-up">
-              {streamingResponse}
-            </pre>
+        {streamingSolution && !tutorMode && (
+          <StreamingSolution partial={streamingSolution} />
+        )}
+        {streamingSolution && tutorMode && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8 text-gray-600">
+            <i className="fas fa-spinner fa-spin mr-2"></i>Preparing your tutor
+            session...
           </div>
         )}
 
@@ -1058,28 +10038,44 @@ function MainComponent() {
                 </div>
                 <div className="flex space-x-4">
                   <button
-                    onClick={() => setShowStepByStep(!showStepByStep)}
-                    className="text-gray-600 hover:text-gray-800"
-                  >
-                    <i
-                      className={`fas fa-list-ol mr-2 ${
-                        showStepByStep ? "text-purple-600" : ""
-                      }`}
-                    ></i>
-                    {showStepByStep ? "Hide Steps" : "Show Steps"}
-                  </button>
-                  <button
-                    onClick={() => setShowTips(!showTips)}
+                    onClick={() => setTutorMode(!tutorMode)}
                     className="text-gray-600 hover:text-gray-800"
+                    aria-pressed={tutorMode}
                   >
                     <i
-                      className={`fas fa-lightbulb mr-2 ${
-                        showTips ? "text-yellow-500" : ""
+                      className={`fas fa-chalkboard-teacher mr-2 ${
+                        tutorMode ? "text-purple-600" : ""
                       }`}
                     ></i>
-                    {showTips ? "Hide Tips" : "Show Tips"}
+                    Tutor Mode
                   </button>
-                  {solution.graph_data && (
+                  {!tutoring && (
+                    <button
+                      onClick={() => setShowStepByStep(!showStepByStep)}
+                      className="text-gray-600 hover:text-gray-800"
+                    >
+                      <i
+                        className={`fas fa-list-ol mr-2 ${
+                          showStepByStep ? "text-purple-600" : ""
+                        }`}
+                      ></i>
+                      {showStepByStep ? "Hide Steps" : "Show Steps"}
+                    </button>
+                  )}
+                  {!tutoring && (
+                    <button
+                      onClick={() => setShowTips(!showTips)}
+                      className="text-gray-600 hover:text-gray-800"
+                    >
+                      <i
+                        className={`fas fa-lightbulb mr-2 ${
+                          showTips ? "text-yellow-500" : ""
+                        }`}
+                      ></i>
+                      {showTips ? "Hide Tips" : "Show Tips"}
+                    </button>
+                  )}
+                  {!tutoring && solution.graph_data && (
                     <button
                       onClick={() => setShowGraph(!showGraph)}
                       className="text-gray-600 hover:text-gray-800"
@@ -1095,7 +10091,7 @@ function MainComponent() {
                 </div>
               </div>
 
-              {showTips && solution.tips?.length > 0 && (
+              {!tutoring && showTips && solution.tips?.length > 0 && (
                 <div className="mb-6 bg-yellow-50 p-4 rounded-lg animate-fade-in">
                   <h3 className="text-lg font-semibold text-yellow-700 mb-2">
                     <i className="fas fa-lightbulb mr-2"></i>Tips & Tricks
@@ -1104,58 +10100,65 @@ function MainComponent() {
                     {solution.tips.map((tip, idx) => (
                       <li key={idx} className="flex items-start">
                         <span className="text-yellow-500 mr-2">•</span>
-                        {tip}
+                        <span>
+                          <MathText text={tip} />
+                        </span>
                       </li>
                     ))}
                   </ul>
                 </div>
               )}
 
-              {showGraph && solution.graph_data && (
+              {!tutoring && showGraph && solution.graph_data && (
                 <div className="mb-6 bg-white p-4 rounded-lg border border-gray-200 animate-fade-in">
                   <h3 className="text-lg font-semibold text-gray-700 mb-4">
                     <i className="fas fa-chart-line mr-2"></i>Visual
                     Representation
                   </h3>
-                  <div className="h-64 w-full flex items-center justify-center text-gray-500">
-                    Graph Type: {solution.graph_data.type}
-                    {/* Integrate a graphing library here */}
-                  </div>
+                  <GraphPlot data={solution.graph_data} />
                 </div>
               )}
 
-              {showStepByStep && (
-                <div className="space-y-6">
-                  {solution.steps.map((step, idx) => (
-                    <div
-                      key={idx}
-                      className="border-b border-gray-100 pb-6 solution-step"
-                    >
-                      <div className="flex items-start">
-                        <span className="flex items-center justify-center w-8 h-8 rounded-full bg-blue-100 text-blue-600 font-semibold mr-4">
-                          {idx + 1}
-                        </span>
-                        <div>
-                          <p className="text-gray-600 mb-3">
-                            {step.explanation}
-                          </p>
-                          <p className="font-mono text-lg bg-gray-50 p-3 rounded-lg">
-                            {cleanEquation(step.equation)}
-                          </p>
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
+              {tutoring ? (
+                <TutorSession
+                  solution={solution}
+                  onFinish={() => setTutorDone(true)}
+                />
+              ) : (
+                showStepByStep && (
+                  <div className="space-y-6">
+                    {solution.steps.map((step, idx) => (
+                      <SolutionStep
+                        key={idx}
+                        step={step}
+                        index={idx}
+                        chat={stepChats[idx]}
+                        onAsk={askAboutStep}
+                      />
+                    ))}
+                  </div>
+                )
               )}
 
               <div className="mt-8 pt-6 border-t border-gray-200 animate-scale-in">
-                <div className="flex items-center">
-                  <i className="fas fa-check-circle text-green-500 mr-3 text-xl"></i>
-                  <p className="text-xl font-bold text-green-600">
-                    Final Answer: {cleanEquation(solution.final_answer)}
+                {tutoring ? (
+                  <p className="text-gray-500">
+                    <i className="fas fa-lock mr-2"></i>Work through the steps
+                    to see the final answer.
                   </p>
-                </div>
+                ) : (
+                  <div className="flex items-center">
+                    <i className="fas fa-check-circle text-green-500 mr-3 text-xl"></i>
+                    <p className="text-xl font-bold text-green-600">
+                      Final Answer:{" "}
+                      <MathText text={solution.final_answer} mode="math" />
+                    </p>
+                    <CopyMathButton text={solution.final_answer} />
+                    {verification && (
+                      <VerificationBadge result={verification} />
+                    )}
+                  </div>
+                )}
               </div>
 
               <div className="mt-6 pt-6 border-t border-gray-200">
@@ -1176,25 +10179,53 @@ function MainComponent() {
                       aria-label="Solution Notes"
                     />
                   </div>
+                  <div className="w-48">
+                    <input
+                      type="text"
+                      value={saveTags}
+                      onChange={(e) => setSaveTags(e.target.value)}
+                      placeholder="Tags, comma separated"
+                      className="w-full p-2 border rounded-lg"
+                      aria-label="Solution Tags"
+                    />
+                  </div>
                 </div>
               </div>
             </div>
 
-            {showAlternativeMethods && alternativeSolutions.length > 0 && (
-              <div className="bg-white rounded-xl shadow-lg p-6 animate-float">
-                <h3 className="text-xl font-bold text-gray-800 mb-4">
-                  <i className="fas fa-random mr-2"></i>Alternative Methods
-                </h3>
-                <AlternativeMethods methods={alternativeSolutions} />
-              </div>
-            )}
+            {!tutoring &&
+              showAlternativeMethods &&
+              alternativeSolutions.length > 0 && (
+                <div className="bg-white rounded-xl shadow-lg p-6 animate-float">
+                  <h3 className="text-xl font-bold text-gray-800 mb-4">
+                    <i className="fas fa-random mr-2"></i>Alternative Methods
+                  </h3>
+                  <AlternativeMethods methods={alternativeSolutions} />
+                </div>
+              )}
 
             {showPractice && practiceProblems.length > 0 && (
               <div className="bg-white rounded-xl shadow-lg p-6 animate-float">
                 <h3 className="text-xl font-bold text-gray-800 mb-4">
                   <i className="fas fa-dumbbell mr-2"></i>Practice Problems
                 </h3>
-                <PracticeProblems problems={practiceProblems} />
+                <PracticeProblems
+                  problems={practiceProblems}
+                  loading={practiceLoading}
+                  recommended={practiceLevel}
+                  onAttempt={recordPractice}
+                  onGenerateMore={(choice) =>
+                    generatePracticeProblems(
+                      solvedInput,
+                      solveControllerRef.current?.signal,
+                      {
+                        difficulty:
+                          choice === "mixed" ? "" : choice || practiceLevel,
+                        more: true,
+                      }
+                    )
+                  }
+                />
               </div>
             )}
           </div>
@@ -1214,7 +10245,7 @@ function MainComponent() {
                   showHistory ? "rotate-180" : ""
                 }`}
               ></i>
-              {showHistory ? "Hide History" : "Show Recent Solutions"}
+              {showHistory ? "Hide History" : "Show History"}
             </button>
             <button
               onClick={() => setShowSaved(!showSaved)}
@@ -1229,13 +10260,62 @@ function MainComponent() {
               ></i>
               {showSaved ? "Hide Saved" : "Show Saved Solutions"}
             </button>
+            <button
+              onClick={() => setShowProgress(!showProgress)}
+              className="text-gray-600 hover:text-gray-800 flex items-center transition-all duration-300 transform hover:translate-x-2"
+              aria-expanded={showProgress}
+            >
+              <i className="fas fa-chart-line mr-2"></i>
+              {showProgress ? "Hide Progress" : "Show Progress"}
+            </button>
+            <button
+              onClick={() => setShowTransfer(!showTransfer)}
+              className="text-gray-600 hover:text-gray-800 flex items-center transition-all duration-300 transform hover:translate-x-2"
+              aria-expanded={showTransfer}
+            >
+              <i className="fas fa-exchange-alt mr-2"></i>
+              Import / Export
+            </button>
           </div>
-          {showHistory && history.length > 0 && (
+          {(pendingSync > 0 || syncOffline || syncNotice) && (
+            <div className="mt-2 text-sm text-gray-500" role="status">
+              <i
+                className={`fas ${
+                  syncOffline ? "fa-plug" : "fa-cloud-upload-alt"
+                } mr-1`}
+              ></i>
+              {syncOffline &&
+                "Offline: saved solutions are kept on this device. "}
+              {pendingSync > 0 &&
+                `${pendingSync} change${
+                  pendingSync === 1 ? "" : "s"
+                } waiting to sync. `}
+              {syncNotice}
+            </div>
+          )}
+          {showProgress && (
+            <MasteryDashboard mastery={mastery} onReset={resetMastery} />
+          )}
+          {showTransfer && (
+            <ImportExportPanel
+              savedSolutions={savedSolutions}
+              history={history}
+              onImport={importLibrary}
+            />
+          )}
+          {showHistory && (
             <div id="recent-history-list">
-              <HistoryList history={history} />
+              <HistoryPanel
+                history={history}
+                hiddenSolution={tutoring ? solution : null}
+                onRestore={restoreHistoryEntry}
+                onRerun={rerunHistoryEntry}
+                onDelete={removeHistoryEntry}
+                onClear={clearHistory}
+              />
             </div>
           )}
-          {showSaved && savedSolutions.length > 0 && (
+          {showSaved && (
             <div id="saved-solutions-list">
               <SavedSolutions
                 savedSolutions={savedSolutions}
@@ -1243,6 +10323,9 @@ function MainComponent() {
                 setSelectedSolution={setSelectedSolution}
                 toggleFavorite={toggleFavorite}
                 updateNotes={updateNotes}
+                updateSavedSolution={updateSavedSolution}
+                deleteSavedSolutions={deleteSavedSolutions}
+                onOpen={openSavedSolution}
               />
             </div>
           )}
@@ -1264,4 +10347,5 @@ function MainComponent() {
   );
 }
 
+export { registerModelProvider };
 export default MainComponent;